@@ -0,0 +1,205 @@
+jest.mock('../config/db');
+jest.mock('../services/moderationService', () => ({
+  isIPBlocked: jest.fn().mockResolvedValue(false)
+}));
+
+const jwt = require('jsonwebtoken');
+const supabase = require('../config/db');
+const moderationService = require('../services/moderationService');
+const auth = require('../middleware/auth');
+
+/**
+ * Make the users table store a role for every user, or hold no user
+ * @param {string|null} role - Stored role, or null if the user is gone
+ */
+function withStoredRole(role) {
+  supabase.__setResponder(query => {
+    if (query.table === 'users') return { data: role ? { role } : null };
+  });
+}
+
+/**
+ * Build a fake Express response
+ * @returns {Object} - Response with jest.fn status and json
+ */
+function mockResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+/**
+ * Run a middleware against a request
+ * @param {Function} middleware - Express middleware
+ * @param {Object} req - Request
+ * @returns {Promise<Object>} - { res, next }
+ */
+async function run(middleware, req) {
+  const res = mockResponse();
+  const next = jest.fn();
+  await middleware(req, res, next);
+  return { res, next };
+}
+
+/**
+ * Build a fake socket connected from an address
+ * @returns {Object} - Socket with a handshake request
+ */
+function mockSocket() {
+  const request = { headers: {}, connection: { remoteAddress: '203.0.113.5' }, socket: { remoteAddress: '203.0.113.5' } };
+  return { request, handshake: { headers: {} } };
+}
+
+afterEach(() => supabase.__reset());
+
+describe('hasRole', () => {
+  test('ranks user below moderator below admin', () => {
+    expect(auth.hasRole('admin', 'moderator')).toBe(true);
+    expect(auth.hasRole('moderator', 'moderator')).toBe(true);
+    expect(auth.hasRole('user', 'moderator')).toBe(false);
+  });
+  
+  test('refuses unknown roles on either side', () => {
+    expect(auth.hasRole('admin', 'owner')).toBe(false);
+    expect(auth.hasRole('owner', 'user')).toBe(false);
+    expect(auth.hasRole(null, 'user')).toBe(false);
+  });
+  
+  test('grants permissions by role', () => {
+    expect(auth.hasPermission('moderator', 'ban_users')).toBe(true);
+    expect(auth.hasPermission('moderator', 'manage_permanent_bans')).toBe(false);
+    expect(auth.hasPermission('admin', 'no_such_permission')).toBe(false);
+  });
+});
+
+describe('requirePermission', () => {
+  test('throws for an unknown permission', () => {
+    expect(() => auth.requirePermission('no_such_permission')).toThrow('Unknown permission: no_such_permission');
+  });
+  
+  test('lets through users whose stored role grants it', async () => {
+    withStoredRole('moderator');
+    const req = { user: { id: 'u1', role: 'moderator' } };
+    
+    const { next } = await run(auth.requirePermission('review_reports'), req);
+    
+    expect(next).toHaveBeenCalled();
+    expect(req.confirmedRole).toBe('moderator');
+  });
+});
+
+describe('requireRole', () => {
+  test('refuses a token role below the required one without a lookup', async () => {
+    const { res, next } = await run(auth.requireRole('admin'), { user: { id: 'u1', role: 'moderator' } });
+    
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+    expect(supabase.__queries).toHaveLength(0);
+  });
+  
+  test('refuses users demoted since their token was issued', async () => {
+    withStoredRole('user');
+    
+    const { res, next } = await run(auth.requireRole('moderator'), { user: { id: 'u1', role: 'admin' } });
+    
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+  
+  test('does not raise a role promoted since the token was issued', async () => {
+    withStoredRole('admin');
+    const req = { user: { id: 'u1', role: 'moderator' } };
+    
+    await run(auth.requireRole('moderator'), req);
+    const { res } = await run(auth.requireRole('admin'), req);
+    
+    expect(req.confirmedRole).toBe('moderator');
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+  
+  test('refuses users that no longer exist', async () => {
+    withStoredRole(null);
+    
+    const { res } = await run(auth.requireRole('moderator'), { user: { id: 'u1', role: 'moderator' } });
+    
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+  
+  test('confirms the role once per request', async () => {
+    withStoredRole('admin');
+    const req = { user: { id: 'u1', role: 'admin' } };
+    
+    await run(auth.requireRole('moderator'), req);
+    const { next } = await run(auth.requireRole('admin'), req);
+    
+    expect(next).toHaveBeenCalled();
+    expect(supabase.__queries.filter(query => query.table === 'users')).toHaveLength(1);
+  });
+  
+  test('answers 500 when the role cannot be confirmed', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    supabase.__setResponder(() => ({ error: new Error('database down') }));
+    
+    const { res } = await run(auth.requireRole('moderator'), { user: { id: 'u1', role: 'moderator' } });
+    
+    expect(res.status).toHaveBeenCalledWith(500);
+    console.error.mockRestore();
+  });
+});
+
+describe('requireSocketRole', () => {
+  test('admits sockets whose stored role is high enough', async () => {
+    withStoredRole('moderator');
+    const socket = { user: { id: 'u1', role: 'moderator' } };
+    const next = jest.fn();
+    
+    await auth.requireSocketRole('moderator')(socket, next);
+    
+    expect(next).toHaveBeenCalledWith();
+  });
+  
+  test('refuses sockets of demoted users', async () => {
+    withStoredRole('user');
+    const next = jest.fn();
+    
+    await auth.requireSocketRole('moderator')({ user: { id: 'u1', role: 'moderator' } }, next);
+    
+    expect(next.mock.calls[0][0].data).toMatchObject({ code: 'FORBIDDEN' });
+  });
+});
+
+describe('verifySocketToken', () => {
+  const token = () => jwt.sign({ id: 'u1', username: 'alice' }, process.env.JWT_SECRET, { expiresIn: '1h' });
+  
+  test('accepts a valid token', async () => {
+    const { decoded, ipAddress, error } = await auth.verifySocketToken(mockSocket(), token());
+    
+    expect(error).toBeUndefined();
+    expect(decoded.id).toBe('u1');
+    expect(ipAddress).toBe('203.0.113.5');
+  });
+  
+  test('refuses a missing or invalid token', async () => {
+    expect((await auth.verifySocketToken(mockSocket(), undefined)).error.data.code).toBe('TOKEN_REQUIRED');
+    expect((await auth.verifySocketToken(mockSocket(), 'not-a-token')).error.data.code).toBe('TOKEN_INVALID');
+  });
+  
+  test('refuses a valid token from a blocked IP address', async () => {
+    moderationService.isIPBlocked.mockResolvedValueOnce(true);
+    
+    const { error } = await auth.verifySocketToken(mockSocket(), token());
+    
+    expect(error.data.code).toBe('IP_BLOCKED');
+  });
+  
+  test('refuses a valid token of a banned user', async () => {
+    supabase.__setResponder(query => {
+      if (query.table === 'user_enforcements') return { data: [{ user_id: 'u1', type: 'ban', reason: 'spam', expires_at: null }] };
+    });
+    
+    const { error } = await auth.verifySocketToken(mockSocket(), token());
+    
+    expect(error.data).toMatchObject({ code: 'BANNED', enforcement: { type: 'ban' } });
+  });
+});
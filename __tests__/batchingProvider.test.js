@@ -0,0 +1,71 @@
+const BatchingModerationProvider = require('../services/moderationProviders/batchingProvider');
+
+const CLEAN = { flagged: false, categories: {}, scores: {} };
+
+/**
+ * Build a provider that answers each text with its own result
+ * @returns {Object} - Provider with a jest.fn checkTexts
+ */
+function createProvider() {
+  return {
+    name: 'stub',
+    supportsImages: false,
+    checkTexts: jest.fn(async texts => texts.map(text => ({ ...CLEAN, text })))
+  };
+}
+
+describe('BatchingModerationProvider', () => {
+  test('sends checks made within the window as one request', async () => {
+    const provider = createProvider();
+    const batching = new BatchingModerationProvider(provider, { windowMs: 5, maxSize: 10 });
+    
+    const results = await Promise.all([batching.checkText('one'), batching.checkText('two')]);
+    
+    expect(provider.checkTexts).toHaveBeenCalledTimes(1);
+    expect(results.map(result => result.text)).toEqual(['one', 'two']);
+  });
+  
+  test('checks texts with the same key once', async () => {
+    const provider = createProvider();
+    const batching = new BatchingModerationProvider(provider, {
+      windowMs: 5,
+      maxSize: 10,
+      key: text => text.toLowerCase()
+    });
+    
+    const results = await Promise.all([batching.checkText('Hello'), batching.checkText('hello')]);
+    
+    expect(provider.checkTexts).toHaveBeenCalledWith(['Hello']);
+    expect(results[1]).toBe(results[0]);
+  });
+  
+  test('sends a full batch straight away', async () => {
+    const provider = createProvider();
+    const batching = new BatchingModerationProvider(provider, { windowMs: 60000, maxSize: 2 });
+    
+    await Promise.all([batching.checkText('one'), batching.checkText('two')]);
+    
+    expect(provider.checkTexts).toHaveBeenCalledWith(['one', 'two']);
+  });
+  
+  test('fails every check in a failed batch', async () => {
+    const provider = createProvider();
+    provider.checkTexts.mockRejectedValue(new Error('provider down'));
+    const batching = new BatchingModerationProvider(provider, { windowMs: 5, maxSize: 10 });
+    
+    const results = await Promise.allSettled([batching.checkText('one'), batching.checkText('two')]);
+    
+    expect(results.map(result => result.status)).toEqual(['rejected', 'rejected']);
+    expect(provider.checkTexts).toHaveBeenCalledTimes(1);
+  });
+  
+  test('fails every check when the provider returns too few results', async () => {
+    const provider = createProvider();
+    provider.checkTexts.mockResolvedValue([CLEAN]);
+    const batching = new BatchingModerationProvider(provider, { windowMs: 5, maxSize: 10 });
+    
+    const results = await Promise.allSettled([batching.checkText('one'), batching.checkText('two')]);
+    
+    expect(results.map(result => result.status)).toEqual(['rejected', 'rejected']);
+  });
+});
@@ -0,0 +1,70 @@
+jest.mock('../config/db');
+
+const supabase = require('../config/db');
+const directMessageService = require('../services/directMessageService');
+
+const SENDER = { id: 'u1' };
+const RECIPIENT = { id: 'u2', username: 'bob', is_guest: false };
+
+/**
+ * Answer user lookups, and let a test decide what conversation queries return
+ * @param {Function} conversations - Called with each dm_conversations query
+ */
+function withConversations(conversations) {
+  supabase.__setResponder(query => {
+    if (query.table === 'users') return { data: RECIPIENT };
+    if (query.table === 'dm_conversations') return conversations(query);
+  });
+}
+
+/**
+ * Check whether a query inserts rows
+ * @param {Object} query - Recorded query
+ * @returns {boolean} - True for inserts
+ */
+function isInsert(query) {
+  return query.calls.some(([method]) => method === 'insert');
+}
+
+afterEach(() => supabase.__reset());
+
+describe('openConversation', () => {
+  test('opens a pending conversation for a first message', async () => {
+    withConversations(query => isInsert(query) ? { data: { id: 'c1', status: 'pending' } } : undefined);
+    
+    const { conversation } = await directMessageService.openConversation(SENDER.id, RECIPIENT.username);
+    
+    expect(conversation).toEqual({ id: 'c1', status: 'pending' });
+  });
+  
+  test('uses the conversation the other user opened at the same time', async () => {
+    const theirs = { id: 'c2', user1_id: RECIPIENT.id, user2_id: SENDER.id, status: 'pending' };
+    let lookups = 0;
+    withConversations(query => {
+      if (isInsert(query)) return { error: { code: '23505', message: 'duplicate key value' } };
+      return { data: lookups++ === 0 ? null : theirs };
+    });
+    
+    const { conversation } = await directMessageService.openConversation(SENDER.id, RECIPIENT.username);
+    
+    expect(conversation).toBe(theirs);
+  });
+  
+  test('throws other errors from opening a conversation', async () => {
+    withConversations(query => isInsert(query) ? { error: new Error('database down') } : undefined);
+    
+    await expect(directMessageService.openConversation(SENDER.id, RECIPIENT.username)).rejects.toThrow('database down');
+  });
+});
+
+describe('getUndelivered', () => {
+  test('carries the sender username and conversation status', async () => {
+    supabase.__setResponder(() => ({
+      data: [{ id: 'm1', sender_id: 'u1', content: 'hi', sender: { username: 'alice' }, dm_conversations: { status: 'pending' } }]
+    }));
+    
+    expect(await directMessageService.getUndelivered('u2')).toEqual([
+      { id: 'm1', sender_id: 'u1', content: 'hi', senderUsername: 'alice', conversationStatus: 'pending' }
+    ]);
+  });
+});
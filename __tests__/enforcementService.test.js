@@ -0,0 +1,115 @@
+jest.mock('../config/db');
+
+const supabase = require('../config/db');
+const enforcementService = require('../services/enforcementService');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Make user_enforcements hold the given rows
+ * @param {Object[]} rows - user_enforcements rows
+ */
+function withEnforcements(rows) {
+  supabase.__setResponder(query => {
+    if (query.table === 'user_enforcements') return { data: rows };
+  });
+}
+
+/**
+ * Build a user_enforcements row
+ * @param {string} type - Enforcement type
+ * @param {number|null} expiresInMs - Time until it lapses, null for never, negative if lapsed
+ * @returns {Object} - Row
+ */
+function row(type, expiresInMs) {
+  return {
+    user_id: 'u1',
+    type,
+    reason: `${type} reason`,
+    expires_at: expiresInMs === null ? null : new Date(Date.now() + expiresInMs).toISOString()
+  };
+}
+
+afterEach(() => supabase.__reset());
+
+describe('checkEnforcement', () => {
+  test('lets users without enforcements through', async () => {
+    expect(await enforcementService.checkEnforcement('u1', 'match')).toBeNull();
+  });
+  
+  test('keeps users under a queue cooldown out of matchmaking only', async () => {
+    withEnforcements([row('queue_cooldown', 5 * MINUTE)]);
+    
+    expect(await enforcementService.checkEnforcement('u1', 'match')).toMatchObject({ type: 'queue_cooldown' });
+    expect(await enforcementService.checkEnforcement('u1', 'send')).toBeNull();
+    expect(await enforcementService.checkEnforcement('u1', 'connect')).toBeNull();
+  });
+  
+  test('keeps muted users from sending only', async () => {
+    withEnforcements([row('mute', 5 * MINUTE)]);
+    
+    expect(await enforcementService.checkEnforcement('u1', 'send')).toMatchObject({ type: 'mute' });
+    expect(await enforcementService.checkEnforcement('u1', 'match')).toBeNull();
+  });
+  
+  test('keeps suspended users out of matchmaking', async () => {
+    withEnforcements([row('suspension', null)]);
+    
+    expect(await enforcementService.checkEnforcement('u1', 'match')).toMatchObject({
+      type: 'suspension',
+      expiresAt: null,
+      remainingMs: null
+    });
+  });
+  
+  test('ignores enforcements that have lapsed', async () => {
+    withEnforcements([row('ban', -MINUTE), row('mute', -MINUTE)]);
+    
+    expect(await enforcementService.checkEnforcement('u1', 'connect')).toBeNull();
+    expect(await enforcementService.checkEnforcement('u1', 'send')).toBeNull();
+  });
+  
+  test('returns a ban ahead of longer lasting states', async () => {
+    withEnforcements([row('suspension', null), row('ban', MINUTE)]);
+    
+    expect(await enforcementService.checkEnforcement('u1', 'match')).toMatchObject({ type: 'ban' });
+  });
+  
+  test('otherwise returns the longest lasting state', async () => {
+    withEnforcements([row('queue_cooldown', 5 * MINUTE), row('suspension', 60 * MINUTE)]);
+    
+    const enforcement = await enforcementService.checkEnforcement('u1', 'match');
+    
+    expect(enforcement.type).toBe('suspension');
+    expect(enforcement.remainingMs).toBeGreaterThan(59 * MINUTE);
+  });
+});
+
+describe('applyEnforcement', () => {
+  test('keeps an existing state that lasts longer', async () => {
+    const existing = row('mute', 60 * MINUTE);
+    supabase.__setResponder(query => {
+      if (query.table === 'user_enforcements') return { data: existing };
+    });
+    
+    const enforcement = await enforcementService.applyEnforcement('u1', 'mute', {
+      reason: 'spam',
+      expiresAt: new Date(Date.now() + MINUTE)
+    });
+    
+    expect(enforcement.reason).toBe('mute reason');
+    expect(supabase.__queries.some(query => query.calls.some(([method]) => method === 'upsert'))).toBe(false);
+  });
+  
+  test('stores a state the user is not under yet', async () => {
+    supabase.__setResponder(query => {
+      const upsert = query.calls.find(([method]) => method === 'upsert');
+      if (upsert) return { data: upsert[1] };
+    });
+    const expiresAt = new Date(Date.now() + MINUTE);
+    
+    const enforcement = await enforcementService.applyEnforcement('u1', 'queue_cooldown', { reason: 'kicked', expiresAt });
+    
+    expect(enforcement).toMatchObject({ type: 'queue_cooldown', reason: 'kicked', expiresAt });
+  });
+});
@@ -0,0 +1,186 @@
+jest.mock('../config/db');
+
+let supabase;
+let matchingService;
+
+// Each test gets a fresh engine with an empty in-memory state store
+beforeEach(() => {
+  jest.resetModules();
+  supabase = require('../config/db');
+  matchingService = require('../services/matchingService');
+});
+
+/**
+ * Make user_blocks report a block between two users
+ * @param {string} blockerId - User ID that made the block
+ * @param {string} blockedId - Blocked user ID
+ */
+function blockBetween(blockerId, blockedId) {
+  supabase.__setResponder(query => {
+    if (query.table === 'user_blocks') {
+      return { data: [{ blocker_id: blockerId, blocked_id: blockedId, expires_at: null }] };
+    }
+  });
+}
+
+describe('pair matching', () => {
+  test('pairs two waiting users', async () => {
+    expect(await matchingService.findMatch('u1')).toBeNull();
+    const match = await matchingService.findMatch('u2');
+    
+    expect(match).toMatchObject({ type: 'pair', partnerId: 'u1' });
+    expect((await matchingService.getUserSession('u1')).partnerId).toBe('u2');
+    expect(await matchingService.isWaiting('u1')).toBe(false);
+  });
+  
+  test('prefers the waiting user with shared interests', async () => {
+    await matchingService.findMatch('u1', { interests: ['music'] });
+    await matchingService.findMatch('u2', { interests: ['chess'] });
+    const match = await matchingService.findMatch('u3', { interests: ['Chess', 'go'] });
+    
+    expect(match).toMatchObject({ partnerId: 'u2', sharedInterests: ['chess'] });
+    expect(await matchingService.isWaiting('u1')).toBe(true);
+  });
+  
+  test('keeps users with a hard language constraint apart from other languages', async () => {
+    await matchingService.findMatch('u1', { language: 'en', languageMatch: 'hard' });
+    
+    expect(await matchingService.findMatch('u2', { language: 'fr' })).toBeNull();
+    expect(await matchingService.findMatch('u3', { language: 'EN' })).toMatchObject({ partnerId: 'u1' });
+  });
+  
+  test('never pairs users who blocked each other', async () => {
+    blockBetween('u1', 'u2');
+    
+    await matchingService.findMatch('u1');
+    expect(await matchingService.findMatch('u2')).toBeNull();
+    expect(await matchingService.findMatch('u3')).toMatchObject({ partnerId: 'u1' });
+  });
+  
+  test('does not re-pair users who skipped each other', async () => {
+    await matchingService.findMatch('u1');
+    await matchingService.findMatch('u2');
+    await matchingService.endUserSession('u1', 'skipped');
+    
+    expect(await matchingService.findMatch('u1')).toBeNull();
+    expect(await matchingService.findMatch('u2')).toBeNull();
+    expect(await matchingService.getQueuePosition('u2')).toBe(2);
+  });
+  
+  test('ends the session for both members', async () => {
+    await matchingService.findMatch('u1');
+    const { sessionId } = await matchingService.findMatch('u2');
+    const ended = jest.fn();
+    matchingService.on('session_ended', ended);
+    
+    const session = await matchingService.endUserSession('u2', 'ended');
+    
+    expect(session).toMatchObject({ sessionId, reason: 'ended' });
+    expect(ended).toHaveBeenCalledWith(expect.objectContaining({ sessionId, initiatorId: 'u2' }));
+    expect(await matchingService.getUserSession('u1')).toBeNull();
+    expect(await matchingService.getUserSession('u2')).toBeNull();
+  });
+  
+  test('remembers the preferences of the last match request', async () => {
+    await matchingService.findMatch('u1', { interests: ['chess'], language: 'en' });
+    
+    expect(await matchingService.getMatchPreferences('u1')).toEqual({ interests: ['chess'], language: 'en' });
+    expect(await matchingService.getMatchPreferences('u2')).toEqual({});
+  });
+});
+
+describe('group rooms', () => {
+  test('opens a room once enough group seekers are waiting', async () => {
+    expect(await matchingService.findMatch('u1', { mode: 'group' })).toBeNull();
+    expect(await matchingService.findMatch('u2', { mode: 'group' })).toBeNull();
+    const room = await matchingService.findMatch('u3', { mode: 'group' });
+    
+    expect(room.type).toBe('group');
+    expect(room.members.sort()).toEqual(['u1', 'u2', 'u3']);
+  });
+  
+  test('leaves blocked users out of a new room', async () => {
+    blockBetween('u2', 'u3');
+    
+    await matchingService.findMatch('u1', { mode: 'group' });
+    await matchingService.findMatch('u2', { mode: 'group' });
+    await matchingService.findMatch('u3', { mode: 'group' });
+    const room = await matchingService.findMatch('u4', { mode: 'group' });
+    
+    expect(room.members.sort()).toEqual(['u1', 'u2', 'u4']);
+    expect(await matchingService.isWaiting('u3')).toBe(true);
+  });
+  
+  test('loads every candidate\'s blocks in one query', async () => {
+    await matchingService.findMatch('u1', { mode: 'group' });
+    await matchingService.findMatch('u2', { mode: 'group' });
+    supabase.__reset();
+    
+    await matchingService.findMatch('u3', { mode: 'group' });
+    
+    // One lookup for open rooms, one for the new room's candidates
+    expect(supabase.__queries.filter(query => query.table === 'user_blocks')).toHaveLength(2);
+  });
+  
+  test('keeps the room open when one member leaves', async () => {
+    await matchingService.findMatch('u1', { mode: 'group' });
+    await matchingService.findMatch('u2', { mode: 'group' });
+    await matchingService.findMatch('u3', { mode: 'group' });
+    await matchingService.findMatch('u4', { mode: 'group' });
+    
+    await matchingService.endUserSession('u1', 'ended');
+    
+    expect(await matchingService.getUserSession('u1')).toBeNull();
+    expect((await matchingService.getUserSession('u2')).members.sort()).toEqual(['u2', 'u3', 'u4']);
+  });
+  
+  test('closes the room once fewer than two members remain', async () => {
+    await matchingService.findMatch('u1', { mode: 'group' });
+    await matchingService.findMatch('u2', { mode: 'group' });
+    await matchingService.findMatch('u3', { mode: 'group' });
+    const ended = jest.fn();
+    matchingService.on('session_ended', ended);
+    
+    await matchingService.endUserSession('u1', 'ended');
+    await matchingService.endUserSession('u2', 'ended');
+    
+    expect(ended).toHaveBeenCalledWith(expect.objectContaining({ reason: 'room_closed', members: ['u3'] }));
+    expect(await matchingService.getUserSession('u3')).toBeNull();
+  });
+});
+
+describe('reconnect grace', () => {
+  /**
+   * Pair u1 with u2
+   * @returns {Promise<Object>} - 'matched' event payload
+   */
+  async function pairUsers() {
+    const matched = new Promise(resolve => matchingService.once('matched', resolve));
+    await matchingService.findMatch('u1');
+    await matchingService.findMatch('u2');
+    return matched;
+  }
+  
+  afterEach(() => jest.restoreAllMocks());
+  
+  test('abandons the session once a lapsed grace period is swept', async () => {
+    await pairUsers();
+    const { deadline } = await matchingService.markReconnecting('u1');
+    
+    jest.spyOn(Date, 'now').mockReturnValue(deadline);
+    await matchingService.expireLapsedReconnects();
+    
+    expect(await matchingService.getUserSession('u2')).toBeNull();
+  });
+  
+  test('keeps the session of a user who resumed before the sweep', async () => {
+    const { sessionId, resumeTokens } = await pairUsers();
+    const { deadline } = await matchingService.markReconnecting('u1');
+    await matchingService.resumeSession('u1', sessionId, resumeTokens.u1);
+    
+    jest.spyOn(Date, 'now').mockReturnValue(deadline);
+    await matchingService.expireLapsedReconnects();
+    
+    expect((await matchingService.getUserSession('u2')).partnerId).toBe('u1');
+  });
+});
@@ -0,0 +1,74 @@
+jest.mock('../config/db');
+
+let supabase;
+let moderationPrefilter;
+
+/**
+ * Load a fresh prefilter holding the given entries
+ * @param {Object[]} rows - moderation_terms rows
+ */
+function loadPrefilter(rows) {
+  jest.resetModules();
+  supabase = require('../config/db');
+  moderationPrefilter = require('../services/moderationPrefilter');
+  
+  supabase.__setResponder(query => {
+    if (query.table === 'moderation_terms') return { data: rows };
+  });
+}
+
+/**
+ * Build a term entry
+ * @param {string} value - Term to match
+ * @returns {Object} - moderation_terms row
+ */
+function term(value) {
+  return { id: value, term: value, match_type: 'term', category: 'harassment', severity: 'medium' };
+}
+
+describe('normalizeText', () => {
+  beforeEach(() => loadPrefilter([]));
+  
+  test('undoes leetspeak, look-alike letters and spaced-out letters', () => {
+    expect(moderationPrefilter.normalizeText('B4D')).toBe('bad');
+    expect(moderationPrefilter.normalizeText('b\u0430d')).toBe('bad'); // Cyrillic 'а'
+    expect(moderationPrefilter.normalizeText('b a d word')).toBe('bad word');
+  });
+  
+  test('keeps doubled letters in ordinary words', () => {
+    expect(moderationPrefilter.normalizeText('See you soon, as planned')).toBe('see you soon as planned');
+  });
+});
+
+describe('check', () => {
+  test('catches a term with its letters repeated', async () => {
+    loadPrefilter([term('bad')]);
+    
+    expect(await moderationPrefilter.check('so baaaad')).toMatchObject({ flagged: true, categories: ['harassment'] });
+    expect(await moderationPrefilter.check('b.a.d')).toMatchObject({ flagged: true });
+  });
+  
+  test('does not flag ordinary words that share letters with a term', async () => {
+    loadPrefilter([term('ass'), term('hell')]);
+    
+    expect(await moderationPrefilter.check('See you soon, as planned')).toBeNull();
+    expect(await moderationPrefilter.check('Our class starts at nine')).toBeNull();
+    expect(await moderationPrefilter.check('hel')).toBeNull();
+  });
+  
+  test('still catches terms with doubled letters', async () => {
+    loadPrefilter([term('ass'), term('hell')]);
+    
+    expect(await moderationPrefilter.check('you a$$')).toMatchObject({ flagged: true });
+    expect(await moderationPrefilter.check('go to heeellll')).toMatchObject({ flagged: true });
+  });
+  
+  test('takes the worst severity of every hit', async () => {
+    loadPrefilter([term('bad'), { ...term('awful'), category: 'hate', severity: 'high' }]);
+    
+    expect(await moderationPrefilter.check('bad and awful')).toMatchObject({
+      severity: 'high',
+      categories: ['harassment', 'hate']
+    });
+  });
+});
@@ -0,0 +1,231 @@
+jest.mock('../config/db');
+jest.mock('../services/moderationProviders', () => ({
+  name: 'stub',
+  supportsImages: true,
+  checkText: jest.fn(),
+  checkTexts: jest.fn(),
+  checkImage: jest.fn()
+}));
+
+// Settings every test starts from; tests may override some before loading the service
+const BASE_ENV = {
+  MODERATION_BATCH_WINDOW_MS: '0',
+  MODERATION_CACHE_SIZE: '0',
+  MODERATION_BREAKER_THRESHOLD: '2',
+  MODERATION_BREAKER_COOLDOWN_MS: '60000',
+  MODERATION_FAILURE_POLICY: 'open',
+  MODERATION_FAILURE_POLICIES: JSON.stringify({ image: 'closed', 'chat:guest': 'hold' }),
+  MODERATION_HOLD_RETRY_MS: '1',
+  MODERATION_HOLD_MAX_ATTEMPTS: '2'
+};
+
+const CLEAN = { flagged: false, categories: {}, scores: {} };
+const HARASSMENT = { flagged: true, categories: { harassment: true }, scores: { harassment: 0.95 } };
+
+let supabase;
+let provider;
+let moderationService;
+
+/**
+ * Load a fresh moderation service
+ * @param {Object} [overrides] - Environment settings to change from BASE_ENV
+ */
+function loadService(overrides = {}) {
+  Object.assign(process.env, BASE_ENV, overrides);
+  jest.resetModules();
+  
+  supabase = require('../config/db');
+  provider = require('../services/moderationProviders');
+  moderationService = require('../services/moderationService');
+  
+  // Echo stored rows back, as PostgREST does with .select()
+  supabase.__setResponder(query => {
+    const upsert = query.calls.find(([method]) => method === 'upsert');
+    if (upsert) return { data: upsert[1] };
+  });
+}
+
+/**
+ * Find the rows written to a table with a given builder method
+ * @param {string} table - Table name
+ * @param {string} method - 'insert' or 'upsert'
+ * @returns {Object[]} - Written rows
+ */
+function writes(table, method) {
+  return supabase.__queries
+    .filter(query => query.table === table)
+    .flatMap(query => query.calls.filter(([name]) => name === method).map(([, row]) => row));
+}
+
+beforeEach(() => {
+  // Provider failures are expected here; keep their logging out of the test output
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  loadService();
+});
+
+afterEach(() => {
+  Object.keys(BASE_ENV).forEach(key => delete process.env[key]);
+  jest.restoreAllMocks();
+});
+
+describe('checkContent', () => {
+  test('passes clean content', async () => {
+    provider.checkText.mockResolvedValue(CLEAN);
+    
+    expect(await moderationService.checkContent('hello there', { userId: 'u1' })).toEqual({ flagged: false });
+    expect(writes('violations', 'insert')).toHaveLength(0);
+  });
+  
+  test('flags content and mutes the sender once strikes reach the mute step', async () => {
+    provider.checkText.mockResolvedValue(HARASSMENT);
+    
+    const result = await moderationService.checkContent('something nasty', { userId: 'u1' });
+    
+    expect(result).toMatchObject({ flagged: true, severity: 'high', categories: ['harassment'] });
+    expect(result.sanction).toMatchObject({ action: 'mute', strikes: 5 });
+    expect(writes('user_enforcements', 'upsert')).toEqual([expect.objectContaining({ user_id: 'u1', type: 'mute' })]);
+  });
+  
+  test('flags low severity content without a strike', async () => {
+    provider.checkText.mockResolvedValue({ ...HARASSMENT, scores: { harassment: 0.5 } });
+    
+    const result = await moderationService.checkContent('mildly rude', { userId: 'u1' });
+    
+    expect(result).toMatchObject({ flagged: true, severity: 'low' });
+    expect(writes('violations', 'insert')).toHaveLength(0);
+  });
+  
+  test('flags prefilter hits without calling the provider', async () => {
+    supabase.__setResponder(query => {
+      if (query.table === 'moderation_terms') {
+        return { data: [{ id: 1, term: 'badword', match_type: 'term', category: 'harassment', severity: 'medium' }] };
+      }
+    });
+    
+    const result = await moderationService.checkContent('you b4dw0rd');
+    
+    expect(result).toMatchObject({ flagged: true, severity: 'medium', categories: ['harassment'] });
+    expect(provider.checkText).not.toHaveBeenCalled();
+  });
+});
+
+describe('failure policies', () => {
+  beforeEach(() => {
+    provider.checkText.mockRejectedValue(new Error('provider down'));
+    provider.checkImage.mockRejectedValue(new Error('provider down'));
+  });
+  
+  test('picks the most specific configured policy', () => {
+    expect(moderationService.getFailurePolicy('chat', 'guest')).toBe('hold');
+    expect(moderationService.getFailurePolicy('image', 'guest')).toBe('closed');
+    expect(moderationService.getFailurePolicy('chat', 'registered')).toBe('open');
+  });
+  
+  test('fails closed on an unknown policy', () => {
+    loadService({ MODERATION_FAILURE_POLICY: 'sometimes' });
+    
+    expect(moderationService.getFailurePolicy('dm', 'registered')).toBe('closed');
+  });
+  
+  test('open lets content through unflagged', async () => {
+    const result = await moderationService.moderate('hello', { queue: 'chat', userType: 'registered' });
+    
+    expect(result).toMatchObject({ flagged: false, error: expect.any(String) });
+    expect(result.failClosed).toBeUndefined();
+  });
+  
+  test('closed marks the content as not deliverable', async () => {
+    const image = { data: Buffer.from('image'), contentType: 'image/png' };
+    
+    const result = await moderationService.moderate(image, { type: 'image', queue: 'image', userType: 'registered' });
+    
+    expect(result).toMatchObject({ flagged: false, failClosed: true });
+  });
+  
+  test('hold retries until the provider gives a verdict', async () => {
+    provider.checkText.mockRejectedValueOnce(new Error('provider down')).mockResolvedValue(CLEAN);
+    
+    const result = await moderationService.moderate('hello', { queue: 'chat', userType: 'guest' });
+    
+    expect(result.pending).toBe(true);
+    expect(await result.verdict).toEqual({ flagged: false });
+  });
+  
+  test('hold fails closed once retries run out', async () => {
+    loadService({ MODERATION_BREAKER_THRESHOLD: '10' });
+    provider.checkText.mockRejectedValue(new Error('provider down'));
+    
+    const result = await moderationService.moderate('hello', { queue: 'chat', userType: 'guest' });
+    
+    expect(await result.verdict).toMatchObject({ failClosed: true });
+    expect(provider.checkText).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('circuit breaker', () => {
+  test('opens after consecutive failures and stops calling the provider', async () => {
+    provider.checkText.mockRejectedValue(new Error('provider down'));
+    
+    await moderationService.checkContent('one');
+    await moderationService.checkContent('two');
+    await moderationService.checkContent('three');
+    
+    expect(moderationService.getCircuitState().state).toBe('open');
+    expect(provider.checkText).toHaveBeenCalledTimes(2);
+  });
+  
+  test('closes again once a check succeeds after the cooldown', async () => {
+    provider.checkText.mockRejectedValueOnce(new Error('provider down'))
+      .mockRejectedValueOnce(new Error('provider down'))
+      .mockResolvedValue(CLEAN);
+    
+    await moderationService.checkContent('one');
+    await moderationService.checkContent('two');
+    
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 60001);
+    
+    expect(await moderationService.checkContent('three')).toEqual({ flagged: false });
+    expect(moderationService.getCircuitState()).toMatchObject({ state: 'closed', failures: 0 });
+  });
+  
+  test('counts a failed batch once', async () => {
+    loadService({ MODERATION_BATCH_WINDOW_MS: '5' });
+    provider.checkTexts.mockRejectedValue(new Error('provider down'));
+    
+    await Promise.all([
+      moderationService.checkContent('one'),
+      moderationService.checkContent('two'),
+      moderationService.checkContent('three')
+    ]);
+    
+    expect(provider.checkTexts).toHaveBeenCalledTimes(1);
+    expect(provider.checkTexts).toHaveBeenCalledWith(['one', 'two', 'three']);
+    expect(moderationService.getCircuitState()).toMatchObject({ state: 'closed', failures: 1 });
+  });
+});
+
+describe('blockIP', () => {
+  beforeEach(() => jest.spyOn(console, 'log').mockImplementation(() => {}));
+  
+  test('records a new block', async () => {
+    await moderationService.blockIP('203.0.113.5', 'spam', null);
+    
+    expect(writes('blocked_ips', 'insert')).toEqual([expect.objectContaining({ ip_address: '203.0.113.5', block_count: 1 })]);
+  });
+  
+  test('throws when the block cannot be stored', async () => {
+    supabase.__setResponder(query => {
+      if (query.calls.some(([method]) => method === 'insert')) return { error: new Error('database down') };
+    });
+    
+    await expect(moderationService.blockIP('203.0.113.5', 'spam', null)).rejects.toThrow('database down');
+  });
+  
+  test('throws when the existing block cannot be read', async () => {
+    supabase.__setResponder(() => ({ error: new Error('database down') }));
+    
+    await expect(moderationService.blockIP('203.0.113.5', 'spam', null)).rejects.toThrow('database down');
+    expect(writes('blocked_ips', 'insert')).toHaveLength(0);
+  });
+});
@@ -0,0 +1,80 @@
+jest.mock('../config/db');
+
+const supabase = require('../config/db');
+const env = require('../config/env');
+const violationService = require('../services/violationService');
+
+/**
+ * Make violations hold earlier strikes, and capture inserted rows
+ * @param {Object[]} rows - violations rows { strikes, created_at }
+ * @returns {Object[]} - Rows inserted by the test
+ */
+function withViolations(rows) {
+  const inserted = [];
+  supabase.__setResponder(query => {
+    if (query.table !== 'violations') return;
+    
+    const insert = query.calls.find(([method]) => method === 'insert');
+    if (insert) {
+      inserted.push(insert[1]);
+      return { data: null };
+    }
+    return { data: rows };
+  });
+  return inserted;
+}
+
+/**
+ * Build a violations row
+ * @param {number} strikes - Strikes the violation added
+ * @param {number} [ageMs] - How long ago it was recorded
+ * @returns {Object} - Row
+ */
+function violation(strikes, ageMs = 0) {
+  return { strikes, created_at: new Date(Date.now() - ageMs).toISOString() };
+}
+
+afterEach(() => supabase.__reset());
+
+describe('strike ladder', () => {
+  test.each([
+    ['low', [], 1, 'warn'],
+    ['medium', [1], 3, 'warn'],
+    ['medium', [2], 4, 'mute'],
+    ['high', [1], 6, 'temp_ban'],
+    ['high', [5, 5], 15, 'perm_ban']
+  ])('a %s violation after earlier strikes %j reaches %d strikes and %s', async (severity, earlier, strikes, action) => {
+    const inserted = withViolations(earlier.map(count => violation(count)));
+    
+    const sanction = await violationService.recordViolation({ userId: 'u1', severity, reason: 'harassment' });
+    
+    expect(sanction).toMatchObject({ strikes, action });
+    expect(inserted[0]).toMatchObject({ user_id: 'u1', severity, action });
+  });
+  
+  test('gives timed sanctions an expiry and permanent ones none', async () => {
+    withViolations([violation(2)]);
+    const mute = await violationService.recordViolation({ userId: 'u1', severity: 'medium', reason: 'spam' });
+    
+    withViolations([violation(10)]);
+    const ban = await violationService.recordViolation({ userId: 'u1', severity: 'high', reason: 'hate' });
+    
+    expect(mute.expiresAt.getTime()).toBeGreaterThan(Date.now());
+    expect(ban).toMatchObject({ action: 'perm_ban', expiresAt: null });
+  });
+  
+  test('halves the weight of strikes every half-life', async () => {
+    withViolations([violation(8, env.STRIKE_HALF_LIFE_MS)]);
+    
+    expect(await violationService.getStrikes({ userId: 'u1' })).toBe(4);
+  });
+  
+  test('counts strikes against the user or their IP address', async () => {
+    withViolations([]);
+    
+    await violationService.getStrikes({ userId: 'u1', ipAddress: '203.0.113.5' });
+    
+    const lookup = supabase.__queries.find(query => query.table === 'violations');
+    expect(lookup.calls).toContainEqual(['or', 'user_id.eq."u1",ip_address.eq."203.0.113.5"']);
+  });
+});
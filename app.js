@@ -5,16 +5,25 @@ const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
 const env = require('./config/env');
+const http = require('http');
 const https = require('https');
 const fs = require('fs');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const apiRoutes = require('./routes/api');
+const matchRoutes = require('./routes/match');
+const dmRoutes = require('./routes/dm');
+const blockRoutes = require('./routes/blocks');
+const adminRoutes = require('./routes/admin');
+const imageStorage = require('./services/imageStorage');
 
 // Initialize Express app
 const app = express();
 
+// Read client IPs from X-Forwarded-For only when the proxy in front is trusted
+app.set('trust proxy', env.TRUST_PROXY);
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({
@@ -69,7 +78,17 @@ app.use(limiter);
 
 // API routes
 app.use('/api/auth', authRoutes);
+app.use('/api/dm', dmRoutes);
+app.use('/api/blocks', blockRoutes);
+app.use('/api/admin', adminRoutes);
 app.use('/api', apiRoutes);
+app.use('/api', matchRoutes);
+
+// Serve published chat images when the storage backend keeps them locally
+const imageMiddleware = imageStorage.createStaticMiddleware();
+if (imageMiddleware) {
+  app.use(env.IMAGE_PUBLIC_PATH, imageMiddleware);
+}
 
 // Serve static files from the correct frontend directory
 const frontendPath = path.join(__dirname, '..', 'anonymous-chat-frontend');
@@ -137,7 +156,7 @@ if (env.NODE_ENV === 'production' && env.SSL_KEY_PATH && env.SSL_CERT_PATH) {
   };
   server = https.createServer(options, app);
 } else {
-  server = app;
+  server = http.createServer(app);
 }
 
 module.exports = { app, server };
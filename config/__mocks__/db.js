@@ -0,0 +1,77 @@
+/**
+ * Supabase client stub for tests
+ * Every query records its table and builder calls, then resolves through the
+ * responder set with __setResponder. Without a responder, or when it returns
+ * nothing, single-row queries resolve to null and other queries to no rows.
+ */
+const queries = [];
+let responder = null;
+
+// Builder calls that make a query resolve to one row
+const SINGLE_ROW_CALLS = ['single', 'maybeSingle'];
+
+/**
+ * Start a recorded query
+ * @param {string} table - Table (or 'rpc:<function>') being queried
+ * @returns {Object} - Chainable, awaitable query builder
+ */
+function createQuery(table) {
+  const query = { table, calls: [] };
+  queries.push(query);
+  
+  const builder = new Proxy({}, {
+    get(_, method) {
+      if (method === 'then') {
+        return (resolve, reject) => Promise.resolve().then(() => respond(query)).then(resolve, reject);
+      }
+      
+      return (...args) => {
+        query.calls.push([method, ...args]);
+        return builder;
+      };
+    }
+  });
+  
+  return builder;
+}
+
+/**
+ * Work out the result of a recorded query
+ * @param {Object} query - { table, calls }
+ * @returns {Object} - { data, error }
+ */
+function respond(query) {
+  const result = responder ? responder(query) : undefined;
+  if (result) return { data: null, error: null, ...result };
+  
+  const single = query.calls.some(([method]) => SINGLE_ROW_CALLS.includes(method));
+  return { data: single ? null : [], error: null };
+}
+
+module.exports = {
+  from: table => createQuery(table),
+  rpc: (name, args) => createQuery(`rpc:${name}`).rpc(args),
+  storage: { from: bucket => createQuery(`storage:${bucket}`) },
+  
+  /**
+   * Queries made since the last reset
+   * @type {Object[]}
+   */
+  __queries: queries,
+  
+  /**
+   * Set how queries resolve
+   * @param {Function} fn - (query) => { data, error }, or undefined for the default
+   */
+  __setResponder(fn) {
+    responder = fn;
+  },
+  
+  /**
+   * Forget recorded queries and the responder
+   */
+  __reset() {
+    queries.length = 0;
+    responder = null;
+  }
+};
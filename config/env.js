@@ -1,10 +1,90 @@
 require('dotenv').config();
 
+// STUN server used for voice/video when ICE_SERVERS is not set
+const DEFAULT_ICE_SERVERS = [{ urls: 'stun:stun.l.google.com:19302' }];
+
+// Parse the JSON list of WebRTC ICE servers sent to matched clients
+function parseIceServers(value) {
+  if (!value) return DEFAULT_ICE_SERVERS;
+  
+  try {
+    const servers = JSON.parse(value);
+    if (Array.isArray(servers)) return servers;
+  } catch (error) {
+    // Fall through to the warning below
+  }
+  
+  console.warn('Warning: ICE_SERVERS must be a JSON array of ICE servers, using the default');
+  return DEFAULT_ICE_SERVERS;
+}
+
+// Parse an integer setting where 0 is meaningful
+function parseIntOrDefault(value, defaultValue) {
+  const parsed = parseInt(value);
+  return isNaN(parsed) ? defaultValue : parsed;
+}
+
+// Images are never delivered unchecked unless configured otherwise
+const DEFAULT_FAILURE_POLICIES = { image: 'closed' };
+
+// Parse the JSON map of moderation failure policies per queue and user type
+function parseFailurePolicies(value) {
+  if (!value) return DEFAULT_FAILURE_POLICIES;
+  
+  try {
+    const policies = JSON.parse(value);
+    if (policies && typeof policies === 'object' && !Array.isArray(policies)) {
+      return { ...DEFAULT_FAILURE_POLICIES, ...policies };
+    }
+  } catch (error) {
+    // Fall through to the warning below
+  }
+  
+  console.warn('Warning: MODERATION_FAILURE_POLICIES must be a JSON object of policies, using the default');
+  return DEFAULT_FAILURE_POLICIES;
+}
+
+// Strike totals at which each sanction applies, mildest first
+const DEFAULT_STRIKE_LADDER = [
+  { strikes: 1, action: 'warn' },
+  { strikes: 4, action: 'mute', durationMs: 15 * 60 * 1000 }, // 15 minutes
+  { strikes: 6, action: 'temp_ban', durationMs: 24 * 60 * 60 * 1000 }, // 1 day
+  { strikes: 15, action: 'perm_ban' }
+];
+
+// Parse the JSON escalation ladder of strike thresholds and sanctions
+function parseStrikeLadder(value) {
+  if (!value) return DEFAULT_STRIKE_LADDER;
+  
+  try {
+    const ladder = JSON.parse(value);
+    if (Array.isArray(ladder) && ladder.every(step => step && typeof step.strikes === 'number' && step.action)) {
+      return [...ladder].sort((a, b) => a.strikes - b.strikes);
+    }
+  } catch (error) {
+    // Fall through to the warning below
+  }
+  
+  console.warn('Warning: STRIKE_LADDER must be a JSON array of { strikes, action, durationMs } steps, using the default');
+  return DEFAULT_STRIKE_LADDER;
+}
+
+// Parse the Express 'trust proxy' setting: true or false, a number of proxy
+// hops, or a comma-separated list of trusted proxy addresses
+function parseTrustProxy(value) {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return parseInt(value);
+  
+  return value.split(',').map(address => address.trim());
+}
+
 // Environment variables configuration
 const env = {
   // Server configuration
   PORT: process.env.PORT || 3000,
   NODE_ENV: process.env.NODE_ENV || 'development',
+  TRUST_PROXY: parseTrustProxy(process.env.TRUST_PROXY), // Proxies whose X-Forwarded-For is trusted for client IPs
   
   // Supabase configuration
   SUPABASE_URL: process.env.SUPABASE_URL,
@@ -18,10 +98,62 @@ const env = {
   // OpenAI configuration
   OPENAI_API_KEY: process.env.OPENAI_API_KEY,
   
+  // Moderation configuration
+  MODERATION_PROVIDER: process.env.MODERATION_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : 'local'), // 'openai', 'local' or 'composite'
+  MODERATION_PROVIDERS: (process.env.MODERATION_PROVIDERS || 'local,openai').split(',').map(name => name.trim()).filter(Boolean), // Providers a composite runs
+  MODERATION_PREFILTER_REFRESH_MS: parseInt(process.env.MODERATION_PREFILTER_REFRESH_MS) || 60000, // 1 minute
+  MODERATION_FAILURE_POLICY: process.env.MODERATION_FAILURE_POLICY || 'open', // 'open', 'closed' or 'hold' when the provider is unavailable
+  MODERATION_FAILURE_POLICIES: parseFailurePolicies(process.env.MODERATION_FAILURE_POLICIES), // e.g. {"image":"closed","chat:guest":"hold"}
+  MODERATION_HOLD_RETRY_MS: parseInt(process.env.MODERATION_HOLD_RETRY_MS) || 2000, // First retry of a held message, doubling after
+  MODERATION_HOLD_MAX_ATTEMPTS: parseInt(process.env.MODERATION_HOLD_MAX_ATTEMPTS) || 5, // Retries before a held message is rejected
+  MODERATION_BREAKER_THRESHOLD: parseInt(process.env.MODERATION_BREAKER_THRESHOLD) || 5, // Consecutive failures that open the circuit
+  MODERATION_BREAKER_COOLDOWN_MS: parseInt(process.env.MODERATION_BREAKER_COOLDOWN_MS) || 30000, // 30 seconds
+  MODERATION_CACHE_SIZE: parseIntOrDefault(process.env.MODERATION_CACHE_SIZE, 10000), // Cached results, 0 disables the cache
+  MODERATION_CACHE_TTL_MS: parseInt(process.env.MODERATION_CACHE_TTL_MS) || 600000, // 10 minutes
+  MODERATION_BATCH_WINDOW_MS: parseIntOrDefault(process.env.MODERATION_BATCH_WINDOW_MS, 10), // Wait to batch text checks, 0 disables batching
+  MODERATION_BATCH_MAX_SIZE: parseInt(process.env.MODERATION_BATCH_MAX_SIZE) || 32, // Most texts in one moderation request
+  
+  // Strike configuration
+  STRIKE_HALF_LIFE_MS: parseInt(process.env.STRIKE_HALF_LIFE_MS) || 7 * 24 * 60 * 60 * 1000, // Strikes lose half their weight every 7 days
+  STRIKE_LADDER: parseStrikeLadder(process.env.STRIKE_LADDER), // e.g. [{"strikes":1,"action":"warn"},{"strikes":4,"action":"mute","durationMs":900000}]
+  KICK_QUEUE_COOLDOWN_MS: parseInt(process.env.KICK_QUEUE_COOLDOWN_MS) || 5 * 60 * 1000, // Matchmaking cooldown after a kick, 5 minutes
+  
+  // Report configuration
+  REPORT_EVIDENCE_MESSAGES: parseInt(process.env.REPORT_EVIDENCE_MESSAGES) || 20, // Session messages snapshotted with a report
+  REPORT_SUSPEND_THRESHOLD: parseIntOrDefault(process.env.REPORT_SUSPEND_THRESHOLD, 3), // Distinct reporters that suspend a user from matchmaking, 0 disables
+  REPORT_SUSPEND_WINDOW_MS: parseInt(process.env.REPORT_SUSPEND_WINDOW_MS) || 24 * 60 * 60 * 1000, // Window the reporters are counted in, 1 day
+  
   // Rate limiting
   RATE_LIMIT_WINDOW_MS: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60000, // 1 minute
   RATE_LIMIT_MAX: parseInt(process.env.RATE_LIMIT_MAX) || 100, // 100 requests per minute
   
+  // Matching configuration
+  INTEREST_MATCH_TIMEOUT_MS: parseInt(process.env.INTEREST_MATCH_TIMEOUT_MS) || 10000, // 10 seconds
+  RECENT_PARTNER_TTL_MS: parseInt(process.env.RECENT_PARTNER_TTL_MS) || 600000, // 10 minutes
+  RECONNECT_GRACE_MS: parseInt(process.env.RECONNECT_GRACE_MS) || 30000, // 30 seconds
+  GROUP_ROOM_MIN_SIZE: parseInt(process.env.GROUP_ROOM_MIN_SIZE) || 3, // Waiting users needed to open a group room
+  GROUP_ROOM_MAX_SIZE: parseInt(process.env.GROUP_ROOM_MAX_SIZE) || 6, // Most members in a group room
+  
+  // Chat configuration
+  TYPING_THROTTLE_MS: parseInt(process.env.TYPING_THROTTLE_MS) || 2000, // 2 seconds
+  TYPING_TIMEOUT_MS: parseInt(process.env.TYPING_TIMEOUT_MS) || 5000, // 5 seconds
+  MESSAGE_EDIT_WINDOW_MS: parseInt(process.env.MESSAGE_EDIT_WINDOW_MS) || 300000, // 5 minutes
+  ICE_SERVERS: parseIceServers(process.env.ICE_SERVERS), // e.g. [{"urls":"turn:turn.example.com","username":"u","credential":"p"}]
+  
+  // Image sharing configuration
+  IMAGE_STORAGE: process.env.IMAGE_STORAGE || 'local', // Storage backend for shared images
+  IMAGE_UPLOAD_DIR: process.env.IMAGE_UPLOAD_DIR || 'uploads', // Local storage directory
+  IMAGE_PUBLIC_PATH: process.env.IMAGE_PUBLIC_PATH || '/uploads', // URL path local images are served from
+  IMAGE_MAX_BYTES: parseInt(process.env.IMAGE_MAX_BYTES) || 5 * 1024 * 1024, // 5 MB
+  IMAGE_PENDING_TTL_MS: parseInt(process.env.IMAGE_PENDING_TTL_MS) || 15 * 60 * 1000, // Unsent uploads are deleted after 15 minutes
+  IMAGE_MODERATION_MODEL: process.env.IMAGE_MODERATION_MODEL || 'omni-moderation-latest',
+  
+  // Shared state configuration
+  STATE_STORE: process.env.STATE_STORE || 'memory', // 'memory' or 'redis'
+  REDIS_URL: process.env.REDIS_URL || 'redis://localhost:6379',
+  REDIS_KEY_PREFIX: process.env.REDIS_KEY_PREFIX || 'chat:',
+  INSTANCE_ID: process.env.INSTANCE_ID,
+  
   // CORS configuration
   CORS_ORIGIN: process.env.CORS_ORIGIN || '*',
   
@@ -40,7 +172,7 @@ const env = {
 };
 
 // Validate required environment variables
-const requiredEnvVars = ['SUPABASE_URL', 'SUPABASE_KEY', 'OPENAI_API_KEY'];
+const requiredEnvVars = ['SUPABASE_URL', 'SUPABASE_KEY'];
 const missingEnvVars = requiredEnvVars.filter(varName => !env[varName]);
 
 if (missingEnvVars.length > 0) {
@@ -2,13 +2,54 @@ const socketIO = require('socket.io');
 const { v4: uuidv4 } = require('uuid');
 const supabase = require('./db');
 const env = require('./env');
+const auth = require('../middleware/auth');
+const matchingService = require('../services/matchingService');
 const moderationService = require('../services/moderationService');
+const violationService = require('../services/violationService');
+const enforcementService = require('../services/enforcementService');
+const directMessageService = require('../services/directMessageService');
+const stateStore = require('../services/stateStore');
+const imageStorage = require('../services/imageStorage');
+const { contentTypeFor } = require('../services/imageTypes');
 
-// Store active users and their socket connections
-const activeUsers = new Map(); // userId -> socket
-const waitingUsers = new Set(); // Set of userIds waiting for match
-const activeSessions = new Map(); // sessionId -> { user1Id, user2Id }
-const userSessions = new Map(); // userId -> sessionId
+// Disconnect reasons where the user chose to leave, so no reconnect grace applies
+const INTENTIONAL_DISCONNECT_REASONS = ['client namespace disconnect', 'server namespace disconnect'];
+
+// Re-authentication failures that end the connection, since a new one would be refused too
+const REFUSED_CONNECTION_CODES = ['IP_BLOCKED', 'BANNED'];
+
+// Presence states a user can report to their partner
+const PRESENCE_STATUSES = ['active', 'away'];
+
+// Message IDs are stored as messages.id, so they must be UUIDs
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// File names given to uploaded images (see POST /api/images)
+const IMAGE_FILE_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\.[a-z]+$/i;
+
+// Size limits for relayed WebRTC signaling
+const MAX_SDP_LENGTH = 32 * 1024;
+const MAX_ICE_CANDIDATE_LENGTH = 1024;
+
+// How long a message ID is remembered for de-duplicating retries
+const MESSAGE_DEDUPE_TTL_MS = 10 * 60 * 1000;
+
+// Namespace streaming moderation events to moderators and admins
+const MODERATION_NAMESPACE = '/moderation';
+
+// How often a moderation namespace socket has its role confirmed again
+const MODERATION_ROLE_CHECK_MS = 60 * 1000;
+
+// Every socket joins a room named after its user, so events can be routed to a
+// user on whichever instance they are connected to
+function userRoom(userId) {
+  return `user:${userId}`;
+}
+
+// Rooms for every user in a list
+function userRooms(userIds) {
+  return userIds.map(userRoom);
+}
 
 // Initialize Socket.io
 function initializeSocket(server) {
@@ -19,257 +60,1280 @@ function initializeSocket(server) {
       credentials: true
     }
   });
-
+  
+  // Relay room broadcasts between instances when the store provides an adapter
+  const adapter = stateStore.createSocketAdapter();
+  if (adapter) {
+    io.adapter(adapter);
+  }
+  
   // Middleware for authentication
-  io.use((socket, next) => {
-    const userId = socket.handshake.auth.userId;
-    if (!userId) {
-      return next(new Error('Authentication error'));
+  io.use(auth.requireSocketAuth);
+  
+  // The moderation namespace is read-only and needs the watch_moderation permission
+  const moderation = io.of(MODERATION_NAMESPACE);
+  const requireWatchModeration = auth.requireSocketRole(auth.PERMISSIONS.watch_moderation);
+  moderation.use(auth.requireSocketAuth);
+  moderation.use(requireWatchModeration);
+  
+  // Nothing is sent on this namespace to re-authenticate with, so an expired
+  // token or a lost role ends the connection; the client reconnects with a new token
+  moderation.on('connection', (socket) => {
+    scheduleTokenExpiry(socket, () => {
+      socket.emit('reauth_required', { message: 'Your session token has expired, please reconnect' });
+      socket.disconnect(true);
+    });
+    
+    socket.roleCheckTimer = setInterval(() => {
+      requireWatchModeration(socket, (error) => {
+        if (error && error.data.code === 'FORBIDDEN') {
+          socket.emit('access_revoked', { message: error.message, ...error.data });
+          socket.disconnect(true);
+        }
+      });
+    }, MODERATION_ROLE_CHECK_MS);
+    
+    socket.on('disconnect', () => {
+      clearTimeout(socket.tokenExpiryTimer);
+      clearInterval(socket.roleCheckTimer);
+    });
+  });
+  
+  // Notify every member when the matching engine starts a session, whichever transport queued them
+  matchingService.on('matched', ({ sessionId, type, members, sharedInterests, resumeTokens }) => {
+    for (const userId of members) {
+      io.to(userRoom(userId)).emit('user_matched', {
+        sessionId,
+        mode: type,
+        members: type === 'group' ? members : undefined,
+        sharedInterests,
+        resumeToken: resumeTokens[userId],
+        iceServers: type === 'pair' ? env.ICE_SERVERS : undefined
+      });
     }
+  });
+  
+  // Seat a user in an open group room and introduce them to the others
+  matchingService.on('member_joined', ({ sessionId, userId, members, resumeToken }) => {
+    io.to(userRoom(userId)).emit('user_matched', {
+      sessionId,
+      mode: 'group',
+      members,
+      sharedInterests: [],
+      resumeToken
+    });
     
-    // Store user connection
-    socket.userId = userId;
-    next();
+    const others = members.filter(id => id !== userId);
+    io.to(userRooms(others)).emit('member_joined', { userId, members });
   });
-
-  io.on('connection', (socket) => {
+  
+  matchingService.on('member_left', ({ userId, members, reason }) => {
+    io.to(userRooms(members)).emit('member_left', { userId, members, reason });
+  });
+  
+  // Let the others know a dropped user may still come back
+  matchingService.on('reconnecting', ({ type, userId, members, deadline }) => {
+    const others = members.filter(id => id !== userId);
+    io.to(userRooms(others)).emit('partner_reconnecting', {
+      userId,
+      reconnectBy: new Date(deadline).toISOString()
+    });
+    
+    // The call cannot survive the dropped connection; it is renegotiated on resume
+    if (type === 'pair') {
+      io.to(userRooms(others)).emit('webrtc_hangup', { reason: 'reconnecting' });
+    }
+  });
+  
+  matchingService.on('resumed', ({ userId, members }) => {
+    const others = members.filter(id => id !== userId);
+    io.to(userRooms(others)).emit('partner_reconnected', { userId });
+  });
+  
+  // Notify the remaining members when a session ends
+  matchingService.on('session_ended', ({ type, members, initiatorId, reason }) => {
+    // Close any call on both sides, including the user who ended the session
+    if (type === 'pair') {
+      io.to(userRooms(members)).emit('webrtc_hangup', { reason });
+    }
+    
+    const others = members.filter(id => id !== initiatorId);
+    if (others.length === 0) return;
+    
+    io.to(userRooms(others)).emit(type === 'group' ? 'room_closed' : 'partner_disconnected', { reason });
+  });
+  
+  io.on('connection', async (socket) => {
     console.log(`User connected: ${socket.userId}`);
     
-    // Add user to active users
-    activeUsers.set(socket.userId, socket);
+    // Route events for this user to this socket
+    socket.join(userRoom(socket.userId));
     
-    // Handle find match request
-    socket.on('find_match', () => {
-      // Check if user is already in a session
-      if (userSessions.has(socket.userId)) {
-        socket.emit('error', { message: 'You are already in a chat session' });
+    // Typing indicator state for this connection
+    socket.typing = { active: false, lastRelayedAt: 0, sessionId: null, recipients: [], timer: null };
+    
+    // Watch for token expiry while connected
+    scheduleTokenExpiry(socket);
+    
+    // Reject events once the token has expired, except re-authentication
+    socket.use(([event], next) => {
+      if (event !== 'reauthenticate' && isTokenExpired(socket)) {
+        requestReauthentication(socket);
+        return;
+      }
+      next();
+    });
+    
+    // Handle re-authentication with a fresh token, checked like the handshake
+    socket.on('reauthenticate', async (data) => {
+      const { decoded, error } = await auth.verifySocketToken(socket, data && data.token);
+      if (error) {
+        socket.emit('reauth_failed', { message: error.message, ...error.data });
+        
+        // Blocked and banned users would be refused a new connection, so end this one
+        if (REFUSED_CONNECTION_CODES.includes(error.data.code)) {
+          socket.disconnect(true);
+        }
+        return;
+      }
+      
+      // The new token must belong to the same user
+      if (decoded.id !== socket.userId) {
+        socket.emit('reauth_failed', { message: 'Token does not match the connected user' });
         return;
       }
       
-      findMatch(socket);
+      socket.user = auth.socketUser(decoded);
+      socket.tokenExpiresAt = decoded.exp ? decoded.exp * 1000 : null;
+      scheduleTokenExpiry(socket);
+      
+      socket.emit('reauthenticated', { expiresAt: socket.tokenExpiresAt });
+    });
+    
+    // Handle find match request
+    socket.on('find_match', async (data) => {
+      try {
+        // Check if user is already in a session
+        if (await matchingService.getUserSession(socket.userId)) {
+          socket.emit('error', { message: 'You are already in a chat session' });
+          return;
+        }
+        
+        // Kicked and banned users sit out matchmaking until their cooldown ends
+        const enforcement = await findEnforcement(socket, 'match');
+        if (enforcement) {
+          socket.emit('error', { message: 'You cannot join matchmaking right now', enforcement });
+          return;
+        }
+        
+        // Remember preferences so skipping re-queues with the same settings
+        const { interests, language, region, languageMatch, regionMatch, mode } = data || {};
+        socket.matchPreferences = {
+          interests,
+          language: language || socket.user.language,
+          region: region || socket.user.region,
+          languageMatch,
+          regionMatch,
+          mode
+        };
+        
+        await findMatch(socket);
+      } catch (error) {
+        console.error('Error finding match:', error);
+        socket.emit('error', { message: 'Failed to find a match' });
+      }
     });
     
     // Handle send message
-    socket.on('send_message', async (data) => {
-      const { content } = data;
-      const sessionId = userSessions.get(socket.userId);
+    socket.on('send_message', (data, ack) => {
+      handleSend(socket, data, ack, messageId => sendMessage(io, socket, messageId, data && data.content));
+    });
+    
+    // Handle send direct message to a registered user by username
+    socket.on('send_dm', (data, ack) => {
+      const { username, content } = data || {};
+      handleSend(socket, data, ack, messageId => sendDirectMessage(io, socket, messageId, username, content));
+    });
+    
+    // Handle send image previously uploaded through POST /api/images
+    socket.on('send_image', (data, ack) => {
+      handleSend(socket, data, ack, messageId => sendImage(io, socket, messageId, data && data.imageId));
+    });
+    
+    // Handle editing and unsending a message, acked like send_message
+    socket.on('edit_message', async (data, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      const { messageId, content } = data || {};
       
-      if (!sessionId) {
-        socket.emit('error', { message: 'You are not in a chat session' });
-        return;
+      try {
+        reply(await editMessage(io, socket, messageId, content));
+      } catch (error) {
+        console.error('Error editing message:', error);
+        reply({ status: 'failed', id: messageId, error: 'Failed to edit message' });
       }
+    });
+    
+    socket.on('delete_message', async (data, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      const { messageId } = data || {};
       
-      const session = activeSessions.get(sessionId);
-      if (!session) {
-        socket.emit('error', { message: 'Chat session not found' });
-        return;
+      try {
+        reply(await deleteMessage(io, socket, messageId));
+      } catch (error) {
+        console.error('Error deleting message:', error);
+        reply({ status: 'failed', id: messageId, error: 'Failed to delete message' });
       }
+    });
+    
+    // Handle asking to stay connected with the partner after the session
+    socket.on('request_connect', async (data, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
       
-      // Check message with moderation service
       try {
-        const moderationResult = await moderationService.checkContent(content);
+        reply(await requestConnect(io, socket));
+      } catch (error) {
+        console.error('Error requesting connection:', error);
+        reply({ status: 'failed', error: 'Failed to request connection' });
+      }
+    });
+    
+    // Handle typing indicators
+    socket.on('typing_start', async () => {
+      try {
+        const session = await requireSession(socket);
+        if (!session) return;
+        
+        startTyping(io, socket, session);
+      } catch (error) {
+        console.error('Error relaying typing indicator:', error);
+      }
+    });
+    
+    socket.on('typing_stop', async () => {
+      try {
+        const session = await requireSession(socket);
+        if (!session) return;
+        
+        stopTyping(io, socket);
+      } catch (error) {
+        console.error('Error relaying typing indicator:', error);
+      }
+    });
+    
+    // Handle read receipts
+    socket.on('message_read', async (data) => {
+      const { messageId } = data || {};
+      
+      try {
+        if (typeof messageId !== 'string' || messageId === '') {
+          socket.emit('error', { message: 'Message ID is required' });
+          return;
+        }
+        
+        const session = await requireSession(socket);
+        if (!session) return;
         
-        if (moderationResult.flagged) {
-          // Message is flagged, notify user and don't send
-          socket.emit('moderation_flag', { 
-            reason: moderationResult.flagReason,
-            severity: moderationResult.severity
-          });
-          
-          // If severe violation, kick user
-          if (moderationResult.severity === 'high') {
-            endSession(sessionId, socket.userId, 'kicked');
-            socket.emit('kicked', { reason: 'Content violation' });
-            return;
-          }
-          
+        io.to(userRooms(session.otherMembers)).emit('message_read', {
+          messageId,
+          readerId: socket.userId,
+          readAt: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Error relaying read receipt:', error);
+      }
+    });
+    
+    // Handle presence updates (e.g. the chat tab losing focus)
+    socket.on('presence_update', async (data) => {
+      const { status } = data || {};
+      
+      try {
+        if (!PRESENCE_STATUSES.includes(status)) {
+          socket.emit('error', { message: 'Invalid presence status' });
           return;
         }
         
-        // Get partner ID
-        const partnerId = session.user1Id === socket.userId ? session.user2Id : session.user1Id;
-        const partnerSocket = activeUsers.get(partnerId);
+        const session = await requireSession(socket);
+        if (!session) return;
         
-        // Send message to partner
-        if (partnerSocket) {
-          partnerSocket.emit('receive_message', {
-            content,
-            senderId: socket.userId,
-            timestamp: new Date().toISOString()
-          });
+        io.to(userRooms(session.otherMembers)).emit('partner_presence', { userId: socket.userId, status });
+      } catch (error) {
+        console.error('Error relaying presence update:', error);
+      }
+    });
+    
+    // Handle WebRTC signaling for voice/video between pair partners
+    socket.on('webrtc_offer', async (data) => {
+      try {
+        const sdp = parseDescription(data && data.sdp, 'offer');
+        if (!sdp) {
+          socket.emit('error', { message: 'Invalid WebRTC offer' });
+          return;
         }
         
-        // Store message in database for registered users
-        await storeMessage(sessionId, socket.userId, content, false);
+        await relaySignal(io, socket, 'webrtc_offer', { sdp });
+      } catch (error) {
+        console.error('Error relaying WebRTC offer:', error);
+      }
+    });
+    
+    socket.on('webrtc_answer', async (data) => {
+      try {
+        const sdp = parseDescription(data && data.sdp, 'answer');
+        if (!sdp) {
+          socket.emit('error', { message: 'Invalid WebRTC answer' });
+          return;
+        }
         
+        await relaySignal(io, socket, 'webrtc_answer', { sdp });
       } catch (error) {
-        console.error('Error processing message:', error);
-        socket.emit('error', { message: 'Failed to send message' });
+        console.error('Error relaying WebRTC answer:', error);
       }
     });
     
-    // Handle skip partner
-    socket.on('skip_partner', () => {
-      const sessionId = userSessions.get(socket.userId);
-      if (!sessionId) {
-        socket.emit('error', { message: 'You are not in a chat session' });
-        return;
+    socket.on('webrtc_ice_candidate', async (data) => {
+      try {
+        const candidate = parseIceCandidate((data || {}).candidate);
+        if (candidate === undefined) {
+          socket.emit('error', { message: 'Invalid ICE candidate' });
+          return;
+        }
+        
+        await relaySignal(io, socket, 'webrtc_ice_candidate', { candidate });
+      } catch (error) {
+        console.error('Error relaying ICE candidate:', error);
       }
+    });
+    
+    // Handle camera/microphone toggles
+    socket.on('media_state', async (data) => {
+      const { camera, microphone } = data || {};
       
-      endSession(sessionId, socket.userId, 'skipped');
+      try {
+        if (
+          (camera === undefined && microphone === undefined) ||
+          (camera !== undefined && typeof camera !== 'boolean') ||
+          (microphone !== undefined && typeof microphone !== 'boolean')
+        ) {
+          socket.emit('error', { message: 'Camera and microphone state must be true or false' });
+          return;
+        }
+        
+        const state = {};
+        if (camera !== undefined) state.camera = camera;
+        if (microphone !== undefined) state.microphone = microphone;
+        
+        const result = await matchingService.setMediaState(socket.userId, state);
+        if (!result) {
+          socket.emit('error', { message: 'You are not in a one-to-one chat session' });
+          return;
+        }
+        
+        io.to(userRoom(result.partnerId)).emit('partner_media_state', result.media);
+      } catch (error) {
+        console.error('Error relaying media state:', error);
+      }
+    });
+    
+    // Handle resuming a session after a dropped connection
+    socket.on('resume_session', async (data) => {
+      const { sessionId, resumeToken } = data || {};
       
-      // Put user back in waiting queue
-      findMatch(socket);
+      try {
+        const session = await matchingService.resumeSession(socket.userId, sessionId, resumeToken);
+        if (!session) {
+          socket.emit('resume_failed', { message: 'Session can no longer be resumed' });
+          return;
+        }
+        
+        socket.emit('session_resumed', {
+          sessionId: session.sessionId,
+          mode: session.type,
+          members: session.type === 'group' ? session.members : undefined,
+          sharedInterests: session.sharedInterests,
+          partnerReconnecting: session.partnerReconnecting,
+          reconnectingMembers: session.type === 'group' ? session.reconnectingMembers : undefined,
+          iceServers: session.type === 'pair' ? env.ICE_SERVERS : undefined,
+          partnerMedia: session.partnerMedia
+        });
+        
+        // Deliver messages, edits and deletions from while the user was away
+        for (const { event, data: payload } of session.pendingEvents) {
+          socket.emit(event, payload);
+        }
+      } catch (error) {
+        console.error('Error resuming session:', error);
+        socket.emit('resume_failed', { message: 'Failed to resume session' });
+      }
+    });
+    
+    // Handle skip partner; in a group room this leaves for another room
+    socket.on('skip_partner', async () => {
+      try {
+        const session = await matchingService.endUserSession(socket.userId, 'skipped');
+        if (!session) {
+          socket.emit('error', { message: 'You are not in a chat session' });
+          return;
+        }
+        
+        // Users who may not match only leave; kicked users can still be in a session
+        const enforcement = await findEnforcement(socket, 'match');
+        if (enforcement) {
+          socket.emit('error', { message: 'You cannot join matchmaking right now', enforcement });
+          return;
+        }
+        
+        // Put user back in waiting queue
+        await findMatch(socket);
+      } catch (error) {
+        console.error('Error skipping partner:', error);
+        socket.emit('error', { message: 'Failed to skip partner' });
+      }
     });
     
     // Handle disconnect chat
-    socket.on('disconnect_chat', () => {
-      const sessionId = userSessions.get(socket.userId);
-      if (sessionId) {
-        endSession(sessionId, socket.userId, 'disconnected');
+    socket.on('disconnect_chat', async () => {
+      try {
+        await matchingService.endUserSession(socket.userId, 'disconnected');
+      } catch (error) {
+        console.error('Error disconnecting chat:', error);
       }
     });
     
     // Handle socket disconnect
-    socket.on('disconnect', () => {
-      console.log(`User disconnected: ${socket.userId}`);
+    socket.on('disconnect', async (reason) => {
+      console.log(`User disconnected: ${socket.userId} (${reason})`);
       
-      // Remove from waiting users if present
-      waitingUsers.delete(socket.userId);
+      clearTimeout(socket.tokenExpiryTimer);
+      stopTyping(io, socket);
       
-      // End any active session
-      const sessionId = userSessions.get(socket.userId);
-      if (sessionId) {
-        endSession(sessionId, socket.userId, 'disconnected');
+      try {
+        // A newer connection for the same user keeps their queue spot and session
+        const presence = await stateStore.getPresence(socket.userId);
+        if (presence && presence.socketId !== socket.id) {
+          return;
+        }
+        
+        await stateStore.removePresence(socket.userId, socket.id);
+        
+        // Remove from waiting users if present
+        await matchingService.removeFromWaitingQueue(socket.userId);
+        
+        // Give dropped connections a chance to resume, end deliberate ones now
+        if (INTENTIONAL_DISCONNECT_REASONS.includes(reason)) {
+          await matchingService.endUserSession(socket.userId, 'disconnected');
+        } else {
+          await matchingService.markReconnecting(socket.userId);
+        }
+      } catch (error) {
+        console.error('Error cleaning up disconnected user:', error);
       }
-      
-      // Remove from active users
-      activeUsers.delete(socket.userId);
     });
+    
+    // Record presence for this connection
+    try {
+      await stateStore.setPresence(socket.userId, {
+        socketId: socket.id,
+        instanceId: stateStore.instanceId,
+        connectedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error recording presence:', error);
+    }
+    
+    // Deliver direct messages queued while the user was offline
+    if (auth.isRegistered(socket.user)) {
+      deliverQueuedDirectMessages(socket)
+        .catch(error => console.error('Error delivering queued direct messages:', error));
+    }
   });
   
   return io;
 }
 
-// Find a match for a user
-function findMatch(socket) {
-  const userId = socket.userId;
+// Check whether a socket's token has expired
+function isTokenExpired(socket) {
+  return !!socket.tokenExpiresAt && socket.tokenExpiresAt <= Date.now();
+}
+
+// Ask the client to re-authenticate once its token has expired
+function requestReauthentication(socket) {
+  socket.emit('reauth_required', { message: 'Your session token has expired, please re-authenticate' });
+}
+
+// Act on a socket's token expiring; by default the client is asked to re-authenticate
+function scheduleTokenExpiry(socket, onExpired = requestReauthentication) {
+  clearTimeout(socket.tokenExpiryTimer);
+  if (!socket.tokenExpiresAt) return;
   
-  // Add to waiting users
-  waitingUsers.add(userId);
-  socket.emit('waiting_for_match');
+  // setTimeout overflows past ~24.8 days, so cap the delay and re-check
+  const delay = Math.min(socket.tokenExpiresAt - Date.now(), 2147483647);
+  socket.tokenExpiryTimer = setTimeout(() => {
+    if (isTokenExpired(socket)) {
+      onExpired(socket);
+    } else {
+      scheduleTokenExpiry(socket, onExpired);
+    }
+  }, Math.max(delay, 0));
+}
+
+// Run a send at most once per client message ID and ack the outcome
+// Clients may supply a UUID message ID and an ack callback. Retries with the
+// same ID are not re-delivered and receive the original result.
+async function handleSend(socket, data, ack, send) {
+  const reply = typeof ack === 'function' ? ack : () => {};
+  const messageId = (data && data.id) || uuidv4();
   
-  // Check if there are other waiting users
-  if (waitingUsers.size > 1) {
-    // Get another waiting user (not self)
-    let matchedUserId = null;
-    for (const waitingUserId of waitingUsers) {
-      if (waitingUserId !== userId) {
-        matchedUserId = waitingUserId;
-        break;
-      }
+  if (typeof messageId !== 'string' || !UUID_PATTERN.test(messageId)) {
+    reply({ status: 'failed', id: messageId, error: 'Message ID must be a UUID' });
+    return;
+  }
+  
+  const dedupeKey = messageDedupeKey(socket.userId, messageId);
+  
+  try {
+    const refused = await refuseEnforcedSend(socket, messageId);
+    if (refused) {
+      reply(refused);
+      return;
     }
     
-    if (matchedUserId) {
-      // Remove both users from waiting list
-      waitingUsers.delete(userId);
-      waitingUsers.delete(matchedUserId);
-      
-      // Create a new session
-      const sessionId = uuidv4();
-      activeSessions.set(sessionId, {
-        user1Id: userId,
-        user2Id: matchedUserId,
-        startTime: new Date()
-      });
-      
-      // Update user sessions map
-      userSessions.set(userId, sessionId);
-      userSessions.set(matchedUserId, sessionId);
-      
-      // Get matched user socket
-      const matchedUserSocket = activeUsers.get(matchedUserId);
-      
-      // Notify both users
-      socket.emit('user_matched', { sessionId });
-      if (matchedUserSocket) {
-        matchedUserSocket.emit('user_matched', { sessionId });
-      }
-      
-      // Store session in database
-      createChatSession(sessionId, userId, matchedUserId);
+    // A retry of a message already being handled gets the original result
+    if (!(await stateStore.claimIdempotencyKey(dedupeKey, MESSAGE_DEDUPE_TTL_MS))) {
+      const previous = await stateStore.getIdempotencyResult(dedupeKey);
+      if (previous) reply(previous);
+      return;
     }
+    
+    const result = await send(messageId);
+    
+    // Failed sends may be retried with the same ID
+    if (result.status === 'failed') {
+      await stateStore.releaseIdempotencyKey(dedupeKey);
+    } else {
+      await stateStore.setIdempotencyResult(dedupeKey, result, MESSAGE_DEDUPE_TTL_MS);
+    }
+    
+    reply(result);
+  } catch (error) {
+    console.error('Error processing message:', error);
+    await stateStore.releaseIdempotencyKey(dedupeKey).catch(() => {});
+    socket.emit('error', { message: 'Failed to send message' });
+    reply({ status: 'failed', id: messageId, error: 'Failed to send message' });
   }
 }
 
-// End a chat session
-function endSession(sessionId, initiatorId, reason) {
-  const session = activeSessions.get(sessionId);
-  if (!session) return;
+// Key remembering the outcome of a client message ID
+function messageDedupeKey(userId, messageId) {
+  return `message:${userId}:${messageId}`;
+}
+
+// Moderation options for content a socket user sends through a queue
+function moderationContext(socket, queue) {
+  return {
+    queue,
+    userType: auth.isRegistered(socket.user) ? 'registered' : 'guest',
+    userId: socket.userId,
+    ipAddress: socket.ipAddress
+  };
+}
+
+// Find the enforcement state stopping a user from an activity ('match' or
+// 'send'); lookup failures are logged and let the user through
+async function findEnforcement(socket, activity) {
+  try {
+    return await enforcementService.checkEnforcement(socket.userId, activity);
+  } catch (error) {
+    console.error('Error checking enforcement state:', error);
+    return null;
+  }
+}
+
+// Muted users can still read but not send; returns the failed ack result with
+// the remaining duration, or null if the user may send
+async function refuseEnforcedSend(socket, messageId) {
+  const enforcement = await findEnforcement(socket, 'send');
+  if (!enforcement) return null;
   
-  // Get both user IDs
-  const { user1Id, user2Id } = session;
-  const partnerId = user1Id === initiatorId ? user2Id : user1Id;
+  return {
+    status: 'failed',
+    id: messageId,
+    error: enforcement.type === 'mute' ? 'You are muted' : 'You are banned',
+    enforcement
+  };
+}
+
+// Act on a moderation outcome: accept the content, reject it, or hold it until
+// a verdict arrives. Held content acks as pending; the sender gets
+// 'message_pending' now and 'message_verdict' with the final result later.
+// Pass dedupeKey to have retries of the message see the final result.
+function settleModeration(io, socket, messageId, moderation, accept, { reject = rejectFlagged, dedupeKey = null } = {}) {
+  if (!moderation.pending) {
+    return applyVerdict(socket, messageId, moderation, accept, reject);
+  }
   
-  // Remove session from maps
-  activeSessions.delete(sessionId);
-  userSessions.delete(user1Id);
-  userSessions.delete(user2Id);
+  socket.emit('message_pending', { id: messageId });
+  
+  moderation.verdict
+    .then(result => applyVerdict(socket, messageId, result, accept, reject))
+    .catch(error => {
+      console.error('Error settling held message:', error);
+      return { status: 'failed', id: messageId, error: 'Failed to send message' };
+    })
+    .then(outcome => finishHeldMessage(io, socket, outcome, dedupeKey))
+    .catch(error => console.error('Error finishing held message:', error));
+  
+  return { status: 'pending', id: messageId };
+}
+
+// Deliver, reject or fail content on a moderation verdict
+async function applyVerdict(socket, messageId, result, accept, reject) {
+  if (result.failClosed) {
+    return { status: 'failed', id: messageId, error: 'Message could not be checked, please try again' };
+  }
   
-  // Notify partner if they're still connected
-  const partnerSocket = activeUsers.get(partnerId);
-  if (partnerSocket) {
-    partnerSocket.emit('partner_disconnected', { reason });
+  if (result.flagged) {
+    return reject(socket, messageId, result);
   }
   
-  // Update session in database
-  updateChatSession(sessionId, 'ended');
+  return accept();
 }
 
-// Database functions
-async function createChatSession(sessionId, user1Id, user2Id) {
-  try {
-    await supabase
-      .from('chat_sessions')
-      .insert({
-        id: sessionId,
-        user1_id: user1Id,
-        user2_id: user2Id,
-        started_at: new Date().toISOString(),
-        status: 'active'
-      });
-  } catch (error) {
-    console.error('Error creating chat session:', error);
+// Tell the sender how a held message was settled
+async function finishHeldMessage(io, socket, outcome, dedupeKey) {
+  io.to(userRoom(socket.userId)).emit('message_verdict', outcome);
+  
+  if (!dedupeKey) return;
+  
+  // Failed sends may be retried with the same ID
+  if (outcome.status === 'failed') {
+    await stateStore.releaseIdempotencyKey(dedupeKey);
+  } else {
+    await stateStore.setIdempotencyResult(dedupeKey, outcome, MESSAGE_DEDUPE_TTL_MS);
   }
 }
 
-async function updateChatSession(sessionId, status) {
-  try {
-    await supabase
-      .from('chat_sessions')
-      .update({
-        ended_at: new Date().toISOString(),
-        status
-      })
-      .eq('id', sessionId);
-  } catch (error) {
-    console.error('Error updating chat session:', error);
+// Moderate, persist and deliver a chat message
+// Returns the ack result: delivered, pending, flagged or failed
+async function sendMessage(io, socket, messageId, content) {
+  if (typeof content !== 'string' || content.trim() === '') {
+    return { status: 'failed', id: messageId, error: 'Message content is required' };
+  }
+  
+  const session = await requireSession(socket);
+  if (!session) {
+    return { status: 'failed', id: messageId, error: 'You are not in a chat session' };
+  }
+  
+  // Check message with moderation service
+  const moderation = await moderationService.moderate(content, moderationContext(socket, 'chat'));
+  
+  return settleModeration(io, socket, messageId, moderation, async () => {
+    const current = await currentSession(socket, session, moderation);
+    if (!current) {
+      return { status: 'failed', id: messageId, error: 'You are no longer in this chat session' };
+    }
+    
+    const message = {
+      id: messageId,
+      type: 'text',
+      content,
+      senderId: socket.userId,
+      timestamp: new Date().toISOString()
+    };
+    
+    // Persist before delivering so the partner never sees a message that was lost
+    try {
+      await storeMessage(current.sessionId, socket.userId, content, false, null, messageId);
+    } catch (error) {
+      console.error('Error storing message:', error);
+      return { status: 'failed', id: messageId, error: 'Failed to store message' };
+    }
+    
+    return deliverMessage(io, socket, current, message);
+  }, { dedupeKey: messageDedupeKey(socket.userId, messageId) });
+}
+
+// The session a moderated message is delivered to: the one it was sent in,
+// re-read if the message was held, or null if the sender has since left it
+async function currentSession(socket, session, moderation) {
+  if (!moderation.pending) return session;
+  
+  const current = await matchingService.getUserSession(socket.userId);
+  return current && current.sessionId === session.sessionId ? current : null;
+}
+
+// Moderate, publish, persist and deliver an uploaded image
+// Returns the ack result: delivered, pending, flagged or failed
+async function sendImage(io, socket, messageId, imageId) {
+  if (typeof imageId !== 'string' || imageId === '') {
+    return { status: 'failed', id: messageId, error: 'Image ID is required' };
+  }
+  
+  const session = await requireSession(socket);
+  if (!session) {
+    return { status: 'failed', id: messageId, error: 'You are not in a chat session' };
+  }
+  
+  // Uploads are keyed by session and uploader, so only the uploader can send one
+  const prefix = `${session.sessionId}/${socket.userId}/`;
+  const fileName = imageId.slice(prefix.length);
+  const contentType = contentTypeFor(fileName);
+  const isOwnUpload = imageId.startsWith(prefix) && IMAGE_FILE_PATTERN.test(fileName) && !!contentType;
+  
+  const data = isOwnUpload ? await imageStorage.read(imageId) : null;
+  if (!data) {
+    return { status: 'failed', id: messageId, error: 'Image not found' };
+  }
+  
+  // Images fail closed by default (see MODERATION_FAILURE_POLICIES)
+  const moderation = await moderationService.moderate({ data, contentType }, {
+    ...moderationContext(socket, 'image'),
+    type: 'image'
+  });
+  
+  const rejectImage = async (socket, messageId, moderationResult) => {
+    await imageStorage.remove(imageId);
+    return rejectFlagged(socket, messageId, moderationResult);
+  };
+  
+  return settleModeration(io, socket, messageId, moderation, async () => {
+    const current = await currentSession(socket, session, moderation);
+    if (!current) {
+      await imageStorage.remove(imageId);
+      return { status: 'failed', id: messageId, error: 'You are no longer in this chat session' };
+    }
+    
+    const imageUrl = await imageStorage.publish(imageId, fileName);
+    
+    const message = {
+      id: messageId,
+      type: 'image',
+      imageUrl,
+      senderId: socket.userId,
+      timestamp: new Date().toISOString()
+    };
+    
+    // Persist before delivering so the partner never sees a message that was lost
+    try {
+      await storeMessage(current.sessionId, socket.userId, '', false, null, messageId, imageUrl);
+    } catch (error) {
+      console.error('Error storing message:', error);
+      return { status: 'failed', id: messageId, error: 'Failed to store message' };
+    }
+    
+    return deliverMessage(io, socket, current, message);
+  }, { reject: rejectImage, dedupeKey: messageDedupeKey(socket.userId, messageId) });
+}
+
+// Moderate and apply an edit to one of the sender's recent messages
+// Returns the ack result: edited, pending, flagged or failed
+async function editMessage(io, socket, messageId, content) {
+  if (typeof content !== 'string' || content.trim() === '') {
+    return { status: 'failed', id: messageId, error: 'Message content is required' };
+  }
+  
+  const session = await requireSession(socket);
+  if (!session) {
+    return { status: 'failed', id: messageId, error: 'You are not in a chat session' };
+  }
+  
+  const { message, error } = await findChangeableMessage(socket, session, messageId);
+  if (error) {
+    return { status: 'failed', id: messageId, error };
+  }
+  
+  if (message.image_url) {
+    return { status: 'failed', id: messageId, error: 'Images cannot be edited' };
+  }
+  
+  const refused = await refuseEnforcedSend(socket, messageId);
+  if (refused) return refused;
+  
+  // Edits are held to the same standard as new messages
+  const moderation = await moderationService.moderate(content, moderationContext(socket, 'chat'));
+  
+  return settleModeration(io, socket, messageId, moderation, async () => {
+    const current = await currentSession(socket, session, moderation);
+    if (!current) {
+      return { status: 'failed', id: messageId, error: 'You are no longer in this chat session' };
+    }
+    
+    const editedAt = new Date().toISOString();
+    await updateMessageContent(message, content, editedAt);
+    
+    await relayToSession(io, current, 'message_edited', { messageId, content, editedAt });
+    
+    return { status: 'edited', id: messageId, editedAt };
+  });
+}
+
+// Unsend one of the sender's recent messages
+// Returns the ack result: deleted or failed
+async function deleteMessage(io, socket, messageId) {
+  const session = await requireSession(socket);
+  if (!session) {
+    return { status: 'failed', id: messageId, error: 'You are not in a chat session' };
+  }
+  
+  const { message, error } = await findChangeableMessage(socket, session, messageId);
+  if (error) {
+    return { status: 'failed', id: messageId, error };
   }
+  
+  const deletedAt = new Date().toISOString();
+  await markMessageDeleted(message.id, deletedAt);
+  
+  await relayToSession(io, session, 'message_deleted', { messageId, deletedAt });
+  
+  return { status: 'deleted', id: messageId, deletedAt };
+}
+
+// Look up a message the user may still edit or delete: their own, in their
+// current session, not deleted and within the edit window
+async function findChangeableMessage(socket, session, messageId) {
+  if (typeof messageId !== 'string' || !UUID_PATTERN.test(messageId)) {
+    return { error: 'Message ID must be a UUID' };
+  }
+  
+  const message = await getMessage(messageId);
+  
+  if (!message || message.session_id !== session.sessionId || message.deleted_at) {
+    return { error: 'Message not found' };
+  }
+  
+  if (message.sender_id !== socket.userId) {
+    return { error: 'You can only change your own messages' };
+  }
+  
+  if (Date.now() - new Date(message.created_at).getTime() > env.MESSAGE_EDIT_WINDOW_MS) {
+    return { error: 'This message can no longer be changed' };
+  }
+  
+  return { message };
 }
 
-async function storeMessage(sessionId, senderId, content, flagged, flagReason = null) {
+// Moderate, persist and deliver a direct message, queueing it if the recipient is offline
+// Returns the ack result: delivered, queued, pending, flagged or failed
+async function sendDirectMessage(io, socket, messageId, username, content) {
+  if (!auth.isRegistered(socket.user)) {
+    return { status: 'failed', id: messageId, error: 'Direct messages are only available for registered users' };
+  }
+  
+  if (typeof content !== 'string' || content.trim() === '') {
+    return { status: 'failed', id: messageId, error: 'Message content is required' };
+  }
+  
+  const { conversation, recipient, error } = await directMessageService.openConversation(socket.userId, username);
+  if (error) {
+    return { status: 'failed', id: messageId, error };
+  }
+  
+  // Check message with moderation service
+  const moderation = await moderationService.moderate(content, moderationContext(socket, 'dm'));
+  
+  return settleModeration(io, socket, messageId, moderation,
+    () => storeAndDeliverDirectMessage(io, socket, messageId, conversation, recipient, content),
+    { reject: rejectFlaggedDirectMessage, dedupeKey: messageDedupeKey(socket.userId, messageId) }
+  );
+}
+
+// Flagged direct messages are not sent; there is no session to kick the sender
+// from unless the violation earned a ban
+async function rejectFlaggedDirectMessage(socket, messageId, moderationResult) {
+  return notifyFlagged(socket, messageId, moderationResult);
+}
+
+// Persist a moderated direct message and deliver it if the recipient is online
+async function storeAndDeliverDirectMessage(io, socket, messageId, conversation, recipient, content) {
+  const { message: stored, conversation: updated } = await directMessageService.storeDirectMessage(
+    conversation, messageId, socket.userId, recipient.id, content
+  );
+  
+  const message = directMessagePayload(stored, updated.status, socket.user.username);
+  
+  // Deliver now if the recipient has a live socket on any instance, otherwise
+  // leave it queued for their next connect. Presence can outlive a dropped
+  // connection, so it is not proof the message arrived.
+  const sockets = await io.in(userRoom(recipient.id)).fetchSockets();
+  const online = sockets.length > 0;
+  if (online) {
+    io.to(userRoom(recipient.id)).emit('receive_dm', message);
+    await directMessageService.markDelivered([stored.id]);
+  }
+  
+  return {
+    status: online ? 'delivered' : 'queued',
+    id: stored.id,
+    conversationId: conversation.id,
+    conversationStatus: updated.status,
+    timestamp: stored.created_at
+  };
+}
+
+// Build the 'receive_dm' payload for a stored direct message, delivered live or from the queue
+function directMessagePayload(message, conversationStatus, senderUsername) {
+  return {
+    id: message.id,
+    conversationId: message.conversation_id,
+    conversationStatus,
+    senderId: message.sender_id,
+    senderUsername,
+    content: message.content,
+    timestamp: message.created_at
+  };
+}
+
+// Send a newly connected user the direct messages queued for them
+async function deliverQueuedDirectMessages(socket) {
+  const queued = await directMessageService.getUndelivered(socket.userId);
+  if (queued.length === 0) return;
+  
+  for (const message of queued) {
+    socket.emit('receive_dm', directMessagePayload(message, message.conversationStatus, message.senderUsername));
+  }
+  
+  await directMessageService.markDelivered(queued.map(message => message.id));
+}
+
+// Ask to stay connected with the partner; once both have asked they become contacts
+// Returns the ack result: requested, connected or failed
+async function requestConnect(io, socket) {
+  if (!auth.isRegistered(socket.user)) {
+    return { status: 'failed', error: 'Only registered users can stay connected' };
+  }
+  
+  const session = await requireSession(socket);
+  if (!session) {
+    return { status: 'failed', error: 'You are not in a chat session' };
+  }
+  
+  if (session.type !== 'pair') {
+    return { status: 'failed', error: 'Contacts can only be made in one-to-one chats' };
+  }
+  
+  const partner = await getUser(session.partnerId);
+  if (!partner || !auth.isRegistered({ isGuest: partner.is_guest })) {
+    return { status: 'failed', error: 'Your partner is a guest and cannot be added as a contact' };
+  }
+  
+  const result = await matchingService.requestConnect(socket.userId);
+  if (!result) {
+    return { status: 'failed', error: 'You are not in a chat session' };
+  }
+  
+  if (!result.mutual) {
+    if (!result.alreadyRequested) {
+      io.to(userRoom(result.partnerId)).emit('connect_requested');
+    }
+    return { status: 'requested' };
+  }
+  
+  await createContact(socket.userId, result.partnerId, result.sessionId);
+  
+  io.to(userRoom(result.partnerId)).emit('contact_added', {
+    userId: socket.userId,
+    username: socket.user.username
+  });
+  socket.emit('contact_added', { userId: result.partnerId, username: partner.username });
+  
+  return { status: 'connected', contact: { userId: result.partnerId, username: partner.username } };
+}
+
+// Tell the sender their content was flagged, kicking them for severe violations
+async function rejectFlagged(socket, messageId, moderationResult) {
+  // If severe violation, kick user; a group room carries on without them
+  if (moderationResult.severity === 'high' && !violationService.isBan(moderationResult.sanction)) {
+    await matchingService.endUserSession(socket.userId, 'kicked');
+    
+    const enforcement = await startQueueCooldown(socket.userId, moderationResult.flagReason);
+    socket.emit('kicked', { reason: 'Content violation', enforcement });
+  }
+  
+  return notifyFlagged(socket, messageId, moderationResult);
+}
+
+// Keep a kicked user out of matchmaking for KICK_QUEUE_COOLDOWN_MS
+// Returns the cooldown, or null if it could not be stored
+async function startQueueCooldown(userId, reason) {
   try {
-    await supabase
-      .from('messages')
-      .insert({
-        session_id: sessionId,
-        sender_id: senderId,
-        content,
-        flagged,
-        flag_reason: flagReason
-      });
+    return await enforcementService.applyEnforcement(userId, 'queue_cooldown', {
+      reason,
+      expiresAt: new Date(Date.now() + env.KICK_QUEUE_COOLDOWN_MS)
+    });
   } catch (error) {
-    console.error('Error storing message:', error);
+    console.error('Error starting queue cooldown:', error);
+    return null;
+  }
+}
+
+// Notify the sender that their content was flagged and carry out any sanction
+// it earned; a ban ends their session and disconnects all their sockets.
+// Moderators watching the moderation namespace see every flag.
+// Returns the flagged ack result
+async function notifyFlagged(socket, messageId, moderationResult) {
+  const { sanction } = moderationResult;
+  const flag = {
+    reason: moderationResult.flagReason,
+    severity: moderationResult.severity,
+    ...(sanction && { sanction: { action: sanction.action, expiresAt: sanction.expiresAt } })
+  };
+  
+  // Message is flagged, notify user and don't send
+  socket.emit('moderation_flag', flag);
+  socket.server.of(MODERATION_NAMESPACE).emit('content_flagged', {
+    userId: socket.userId,
+    messageId,
+    ...flag
+  });
+  
+  if (violationService.isBan(sanction)) {
+    await matchingService.endUserSession(socket.userId, 'kicked');
+    
+    const sockets = socket.nsp.in(userRoom(socket.userId));
+    sockets.emit('banned', { reason: moderationResult.flagReason, expiresAt: sanction.expiresAt });
+    sockets.disconnectSockets(true);
+  }
+  
+  return { status: 'flagged', id: messageId, ...flag };
+}
+
+// Deliver a stored message to the rest of the session and confirm it to the sender
+async function deliverMessage(io, socket, session, message) {
+  const { reconnectingMembers } = session;
+  const messageId = message.id;
+  
+  // A sent message ends the typing indicator
+  stopTyping(io, socket);
+  
+  await relayToSession(io, session, 'receive_message', message);
+  
+  // Give the sender the message ID for matching read receipts
+  socket.emit('message_sent', { id: messageId, timestamp: message.timestamp });
+  
+  return {
+    status: 'delivered',
+    id: messageId,
+    timestamp: message.timestamp,
+    held: reconnectingMembers.length > 0
+  };
+}
+
+// Relay a WebRTC signaling event to the user's partner in an active pair session
+async function relaySignal(io, socket, event, payload) {
+  const session = await requireSession(socket);
+  if (!session) return;
+  
+  if (session.type !== 'pair') {
+    socket.emit('error', { message: 'Voice and video are only available in one-to-one chats' });
+    return;
+  }
+  
+  if (session.partnerReconnecting) {
+    socket.emit('error', { message: 'Your partner is reconnecting' });
+    return;
+  }
+  
+  io.to(userRoom(session.partnerId)).emit(event, payload);
+}
+
+// Validate a session description, returning a clean copy or null
+function parseDescription(description, type) {
+  if (
+    !description ||
+    description.type !== type ||
+    typeof description.sdp !== 'string' ||
+    description.sdp.length > MAX_SDP_LENGTH
+  ) {
+    return null;
+  }
+  
+  return { type, sdp: description.sdp };
+}
+
+// Validate an ICE candidate, returning a clean copy, null for end-of-candidates,
+// or undefined if invalid
+function parseIceCandidate(candidate) {
+  if (candidate === null) return null;
+  
+  if (
+    !candidate ||
+    typeof candidate.candidate !== 'string' ||
+    candidate.candidate.length > MAX_ICE_CANDIDATE_LENGTH
+  ) {
+    return undefined;
+  }
+  
+  return {
+    candidate: candidate.candidate,
+    sdpMid: typeof candidate.sdpMid === 'string' ? candidate.sdpMid : null,
+    sdpMLineIndex: Number.isInteger(candidate.sdpMLineIndex) ? candidate.sdpMLineIndex : null,
+    usernameFragment: typeof candidate.usernameFragment === 'string' ? candidate.usernameFragment : null
+  };
+}
+
+// Send a chat event to the other members, holding it for any who are reconnecting
+async function relayToSession(io, session, event, data) {
+  const { sessionId, otherMembers, reconnectingMembers } = session;
+  
+  const onlineMembers = otherMembers.filter(id => !reconnectingMembers.includes(id));
+  if (onlineMembers.length > 0) {
+    io.to(userRooms(onlineMembers)).emit(event, data);
+  }
+  await Promise.all(reconnectingMembers.map(id => matchingService.holdEvent(sessionId, id, event, data)));
+}
+
+// Look up the user's session, replying with an error if they are not in one
+async function requireSession(socket) {
+  const session = await matchingService.getUserSession(socket.userId);
+  if (!session) {
+    socket.emit('error', { message: 'You are not in a chat session' });
+  }
+  return session;
+}
+
+// Relay a typing indicator to the other members at most once per throttle window,
+// and clear it automatically if the client never sends typing_stop
+function startTyping(io, socket, session) {
+  const typing = socket.typing;
+  const now = Date.now();
+  
+  // Members who joined a group room since the last relay have not seen it yet
+  const unseen = session.otherMembers.filter(id => !typing.recipients.includes(id));
+  
+  if (
+    !typing.active ||
+    typing.sessionId !== session.sessionId ||
+    unseen.length > 0 ||
+    now - typing.lastRelayedAt >= env.TYPING_THROTTLE_MS
+  ) {
+    io.to(userRooms(session.otherMembers)).emit('partner_typing_start', { userId: socket.userId });
+    typing.lastRelayedAt = now;
+  }
+  
+  typing.active = true;
+  typing.sessionId = session.sessionId;
+  typing.recipients = session.otherMembers;
+  
+  clearTimeout(typing.timer);
+  typing.timer = setTimeout(() => stopTyping(io, socket), env.TYPING_TIMEOUT_MS);
+}
+
+// Clear the other members' typing indicator if one is showing
+function stopTyping(io, socket) {
+  const typing = socket.typing;
+  clearTimeout(typing.timer);
+  
+  if (!typing.active) return;
+  
+  typing.active = false;
+  if (typing.recipients.length > 0) {
+    io.to(userRooms(typing.recipients)).emit('partner_typing_stop', { userId: socket.userId });
+  }
+}
+
+// Find a match for a user
+async function findMatch(socket) {
+  socket.emit('waiting_for_match');
+  
+  // Every member is notified through the 'matched' or 'member_joined' event
+  await matchingService.findMatch(socket.userId, socket.matchPreferences);
+}
+
+// Database functions
+async function storeMessage(sessionId, senderId, content, flagged, flagReason, messageId, imageUrl = null) {
+  const { error } = await supabase
+    .from('messages')
+    .insert({
+      id: messageId,
+      session_id: sessionId,
+      sender_id: senderId,
+      content,
+      image_url: imageUrl,
+      flagged,
+      flag_reason: flagReason
+    });
+  
+  if (error) {
+    throw error;
+  }
+}
+
+async function getUser(userId) {
+  const { data, error } = await supabase
+    .from('users')
+    .select('id, username, is_guest')
+    .eq('id', userId)
+    .maybeSingle();
+  
+  if (error) {
+    throw error;
+  }
+  
+  return data;
+}
+
+// Contacts are stored once per direction so each user can list and remove their own
+async function createContact(userId, contactId, sessionId) {
+  const { error } = await supabase
+    .from('contacts')
+    .upsert([
+      { user_id: userId, contact_id: contactId, session_id: sessionId },
+      { user_id: contactId, contact_id: userId, session_id: sessionId }
+    ], { onConflict: 'user_id,contact_id', ignoreDuplicates: true });
+  
+  if (error) {
+    throw error;
+  }
+}
+
+async function getMessage(messageId) {
+  const { data, error } = await supabase
+    .from('messages')
+    .select('id, session_id, sender_id, content, image_url, created_at, deleted_at')
+    .eq('id', messageId)
+    .maybeSingle();
+  
+  if (error) {
+    throw error;
+  }
+  
+  return data;
+}
+
+// Keep the previous content for moderators, then apply the edit
+async function updateMessageContent(message, content, editedAt) {
+  const { error: historyError } = await supabase
+    .from('message_edits')
+    .insert({
+      message_id: message.id,
+      previous_content: message.content,
+      edited_at: editedAt
+    });
+  
+  if (historyError) {
+    throw historyError;
+  }
+  
+  const { error } = await supabase
+    .from('messages')
+    .update({ content, edited_at: editedAt })
+    .eq('id', message.id);
+  
+  if (error) {
+    throw error;
+  }
+}
+
+// Deleted messages keep their content for moderators
+async function markMessageDeleted(messageId, deletedAt) {
+  const { error } = await supabase
+    .from('messages')
+    .update({ deleted_at: deletedAt })
+    .eq('id', messageId);
+  
+  if (error) {
+    throw error;
   }
 }
 
@@ -7,13 +7,18 @@ CREATE TABLE users (
   email TEXT UNIQUE,
   password_hash TEXT,
   is_guest BOOLEAN NOT NULL DEFAULT FALSE,
+  role TEXT NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'moderator', 'admin')),
+  preferred_language TEXT CHECK (preferred_language ~ '^[a-z]{2}$'),
+  region TEXT CHECK (region ~ '^[A-Z]{2}$'),
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   last_login TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
 -- Chat Sessions Table
+-- Group rooms leave user1_id/user2_id empty and list members in chat_session_members
 CREATE TABLE chat_sessions (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  mode TEXT NOT NULL DEFAULT 'pair' CHECK (mode IN ('pair', 'group')),
   user1_id UUID REFERENCES users(id) ON DELETE CASCADE,
   user2_id UUID REFERENCES users(id) ON DELETE CASCADE,
   started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
@@ -21,14 +26,93 @@ CREATE TABLE chat_sessions (
   status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'ended', 'abandoned'))
 );
 
+-- Group Room Members Table
+CREATE TABLE chat_session_members (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  session_id UUID REFERENCES chat_sessions(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  joined_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  left_at TIMESTAMP WITH TIME ZONE,
+  left_reason TEXT
+);
+
+-- Contacts Table
+-- One row per direction; created when both users in a session agree to stay connected
+CREATE TABLE contacts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  contact_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  session_id UUID REFERENCES chat_sessions(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (user_id, contact_id)
+);
+
+-- User Blocks Table
+-- Blocked users are never matched with or direct messaged by the blocker, and vice versa.
+-- Guest blocks expire with the guest's token.
+CREATE TABLE user_blocks (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  blocker_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  blocked_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  session_id UUID REFERENCES chat_sessions(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE,
+  UNIQUE (blocker_id, blocked_id)
+);
+
+-- Direct Message Conversations Table
+-- user1_id started the conversation; user2_id must accept before more messages can be sent
+CREATE TABLE dm_conversations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user1_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  user2_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_message_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Direct Messages Table
+CREATE TABLE dm_messages (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  conversation_id UUID NOT NULL REFERENCES dm_conversations(id) ON DELETE CASCADE,
+  sender_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  recipient_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  content TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  delivered_at TIMESTAMP WITH TIME ZONE -- NULL while queued for an offline recipient
+);
+
 -- Messages Table
 CREATE TABLE messages (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   session_id UUID REFERENCES chat_sessions(id) ON DELETE CASCADE,
   sender_id UUID REFERENCES users(id) ON DELETE CASCADE,
-  content TEXT NOT NULL,
+  content TEXT NOT NULL, -- empty for image messages
+  image_url TEXT,
   flagged BOOLEAN NOT NULL DEFAULT FALSE,
   flag_reason TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  edited_at TIMESTAMP WITH TIME ZONE,
+  deleted_at TIMESTAMP WITH TIME ZONE -- unsent by the sender; content is kept for moderators
+);
+
+-- Message Edit History Table (for moderators)
+CREATE TABLE message_edits (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  message_id UUID REFERENCES messages(id) ON DELETE CASCADE,
+  previous_content TEXT NOT NULL,
+  edited_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Moderation Prefilter Table
+-- Terms and regular expressions flagged locally before the moderation provider is called
+CREATE TABLE moderation_terms (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  term TEXT NOT NULL,
+  match_type TEXT NOT NULL DEFAULT 'term' CHECK (match_type IN ('term', 'pattern')),
+  category TEXT NOT NULL,
+  severity TEXT NOT NULL CHECK (severity IN ('low', 'medium', 'high')),
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
@@ -41,22 +125,91 @@ CREATE TABLE blocked_ips (
   block_count INTEGER NOT NULL DEFAULT 1
 );
 
+-- User Enforcements Table
+-- Timed restrictions on a user: matchmaking cooldowns, mutes and bans (no expiry means permanent)
+CREATE TABLE user_enforcements (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  type TEXT NOT NULL CHECK (type IN ('queue_cooldown', 'suspension', 'mute', 'ban')),
+  reason TEXT NOT NULL,
+  expires_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (user_id, type)
+);
+
+-- Violations Table
+-- Moderation strikes against a user and the IP address they sent from, with the sanction each earned
+CREATE TABLE violations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  ip_address TEXT,
+  severity TEXT NOT NULL CHECK (severity IN ('low', 'medium', 'high')),
+  reason TEXT NOT NULL,
+  strikes NUMERIC NOT NULL,
+  action TEXT CHECK (action IN ('warn', 'mute', 'temp_ban', 'perm_ban')),
+  action_expires_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Reports Table
+-- User reports against a chat session or a direct message, with the evidence as it was when reported
+CREATE TABLE reports (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  reporter_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  reported_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  session_id UUID REFERENCES chat_sessions(id) ON DELETE SET NULL,
+  dm_message_id UUID REFERENCES dm_messages(id) ON DELETE SET NULL,
+  category TEXT NOT NULL CHECK (category IN ('harassment', 'hate', 'sexual', 'spam', 'violence', 'self_harm', 'underage', 'other')),
+  reason TEXT,
+  evidence JSONB NOT NULL DEFAULT '[]', -- snapshot of the latest session messages or the direct message
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'reviewing', 'actioned', 'dismissed')),
+  reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMP WITH TIME ZONE,
+  resolution_note TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Indexes for performance
 CREATE INDEX idx_chat_sessions_user1 ON chat_sessions(user1_id);
 CREATE INDEX idx_chat_sessions_user2 ON chat_sessions(user2_id);
 CREATE INDEX idx_chat_sessions_status ON chat_sessions(status);
+CREATE INDEX idx_chat_session_members_session ON chat_session_members(session_id);
+CREATE INDEX idx_chat_session_members_user ON chat_session_members(user_id);
+CREATE INDEX idx_contacts_contact ON contacts(contact_id);
+CREATE INDEX idx_user_blocks_blocked ON user_blocks(blocked_id);
+CREATE UNIQUE INDEX idx_dm_conversations_pair ON dm_conversations(LEAST(user1_id, user2_id), GREATEST(user1_id, user2_id));
+CREATE INDEX idx_dm_conversations_user2 ON dm_conversations(user2_id);
+CREATE INDEX idx_dm_messages_conversation ON dm_messages(conversation_id, created_at);
+CREATE INDEX idx_dm_messages_undelivered ON dm_messages(recipient_id) WHERE delivered_at IS NULL;
 CREATE INDEX idx_messages_session ON messages(session_id);
 CREATE INDEX idx_messages_sender ON messages(sender_id);
 CREATE INDEX idx_messages_flagged ON messages(flagged);
+CREATE INDEX idx_message_edits_message ON message_edits(message_id);
 CREATE INDEX idx_blocked_ips_expires ON blocked_ips(expires_at);
+CREATE INDEX idx_violations_user ON violations(user_id, created_at);
+CREATE INDEX idx_violations_ip ON violations(ip_address, created_at);
+CREATE INDEX idx_reports_status ON reports(status, created_at);
+CREATE INDEX idx_reports_reported ON reports(reported_id, created_at);
+CREATE UNIQUE INDEX idx_reports_session_once ON reports(reporter_id, reported_id, session_id) WHERE dm_message_id IS NULL;
+CREATE UNIQUE INDEX idx_reports_dm_once ON reports(reporter_id, dm_message_id) WHERE dm_message_id IS NOT NULL;
 
 -- Row Level Security Policies
 
 -- Enable RLS on all tables
 ALTER TABLE users ENABLE ROW LEVEL SECURITY;
 ALTER TABLE chat_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE chat_session_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE contacts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_blocks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE dm_conversations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE dm_messages ENABLE ROW LEVEL SECURITY;
 ALTER TABLE messages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE message_edits ENABLE ROW LEVEL SECURITY;
+ALTER TABLE moderation_terms ENABLE ROW LEVEL SECURITY;
 ALTER TABLE blocked_ips ENABLE ROW LEVEL SECURITY;
+ALTER TABLE violations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_enforcements ENABLE ROW LEVEL SECURITY;
+ALTER TABLE reports ENABLE ROW LEVEL SECURITY;
 
 -- Users policies
 CREATE POLICY "Users can view their own data" 
@@ -70,8 +223,39 @@ CREATE POLICY "Users can update their own data"
 -- Chat sessions policies
 CREATE POLICY "Users can view their own chat sessions" 
   ON chat_sessions FOR SELECT 
+  USING (
+    auth.uid() = user1_id OR auth.uid() = user2_id OR
+    EXISTS (
+      SELECT 1 FROM chat_session_members
+      WHERE chat_session_members.session_id = chat_sessions.id
+      AND chat_session_members.user_id = auth.uid()
+    )
+  );
+
+-- Group room members policies
+CREATE POLICY "Users can view their own room memberships" 
+  ON chat_session_members FOR SELECT 
+  USING (auth.uid() = user_id);
+
+-- Contacts policies
+CREATE POLICY "Users can view their own contacts" 
+  ON contacts FOR SELECT 
+  USING (auth.uid() = user_id);
+
+-- User blocks policies
+CREATE POLICY "Users can view their own blocks" 
+  ON user_blocks FOR SELECT 
+  USING (auth.uid() = blocker_id);
+
+-- Direct message policies
+CREATE POLICY "Users can view their own conversations" 
+  ON dm_conversations FOR SELECT 
   USING (auth.uid() = user1_id OR auth.uid() = user2_id);
 
+CREATE POLICY "Users can view their own direct messages" 
+  ON dm_messages FOR SELECT 
+  USING (auth.uid() = sender_id OR auth.uid() = recipient_id);
+
 -- Messages policies
 CREATE POLICY "Users can view messages in their sessions" 
   ON messages FOR SELECT 
@@ -79,7 +263,14 @@ CREATE POLICY "Users can view messages in their sessions"
     EXISTS (
       SELECT 1 FROM chat_sessions 
       WHERE chat_sessions.id = messages.session_id 
-      AND (chat_sessions.user1_id = auth.uid() OR chat_sessions.user2_id = auth.uid())
+      AND (
+        chat_sessions.user1_id = auth.uid() OR chat_sessions.user2_id = auth.uid() OR
+        EXISTS (
+          SELECT 1 FROM chat_session_members
+          WHERE chat_session_members.session_id = chat_sessions.id
+          AND chat_session_members.user_id = auth.uid()
+        )
+      )
     )
   );
 
@@ -90,14 +281,54 @@ CREATE POLICY "Users can insert messages in their sessions"
     EXISTS (
       SELECT 1 FROM chat_sessions 
       WHERE chat_sessions.id = messages.session_id 
-      AND (chat_sessions.user1_id = auth.uid() OR chat_sessions.user2_id = auth.uid())
+      AND (
+        chat_sessions.user1_id = auth.uid() OR chat_sessions.user2_id = auth.uid() OR
+        EXISTS (
+          SELECT 1 FROM chat_session_members
+          WHERE chat_session_members.session_id = chat_sessions.id
+          AND chat_session_members.user_id = auth.uid()
+        )
+      )
     )
   );
 
--- Blocked IPs policies (admin only)
-CREATE POLICY "Only admins can manage blocked IPs" 
+-- Message edit history policies (moderators and admins)
+CREATE POLICY "Only moderators can view message edit history" 
+  ON message_edits FOR SELECT 
+  USING (auth.uid() IN (SELECT id FROM users WHERE role IN ('moderator', 'admin')));
+
+-- Moderation prefilter policies (admin only)
+CREATE POLICY "Only admins can manage moderation terms" 
+  ON moderation_terms 
+  USING (auth.uid() IN (SELECT id FROM users WHERE role = 'admin'));
+
+-- Blocked IPs policies (moderators and admins)
+CREATE POLICY "Only moderators can manage blocked IPs" 
   ON blocked_ips 
-  USING (auth.uid() IN (SELECT id FROM users WHERE is_admin = TRUE));
+  USING (auth.uid() IN (SELECT id FROM users WHERE role IN ('moderator', 'admin')));
+
+-- Violations policies (moderators and admins)
+CREATE POLICY "Only moderators can manage violations" 
+  ON violations 
+  USING (auth.uid() IN (SELECT id FROM users WHERE role IN ('moderator', 'admin')));
+
+-- User enforcements policies
+CREATE POLICY "Users can view their own enforcement states" 
+  ON user_enforcements FOR SELECT 
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Only moderators can manage enforcement states" 
+  ON user_enforcements 
+  USING (auth.uid() IN (SELECT id FROM users WHERE role IN ('moderator', 'admin')));
+
+-- Reports policies
+CREATE POLICY "Users can view their own reports" 
+  ON reports FOR SELECT 
+  USING (auth.uid() = reporter_id);
+
+CREATE POLICY "Only moderators can manage reports" 
+  ON reports 
+  USING (auth.uid() IN (SELECT id FROM users WHERE role IN ('moderator', 'admin')));
 
 -- Create function to check if IP is blocked
 CREATE OR REPLACE FUNCTION is_ip_blocked(check_ip TEXT)
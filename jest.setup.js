@@ -0,0 +1,8 @@
+// Settings the services expect at load time; the Supabase client itself is
+// stubbed per test with jest.mock('../config/db')
+process.env.SUPABASE_URL = 'http://localhost:54321';
+process.env.SUPABASE_KEY = 'test-key';
+process.env.JWT_SECRET = 'test-secret';
+
+// Keep expected warnings, like the circuit breaker opening, out of the output
+process.env.LOG_LEVEL = 'error';
@@ -1,5 +1,114 @@
 const jwt = require('jsonwebtoken');
+const proxyaddr = require('proxy-addr');
 const env = require('../config/env');
+const supabase = require('../config/db');
+const moderationService = require('../services/moderationService');
+const enforcementService = require('../services/enforcementService');
+
+// Roles in order of privilege; each role has every permission of the roles before it
+const ROLES = ['user', 'moderator', 'admin'];
+
+// Least role each permission needs
+const PERMISSIONS = {
+  review_reports: 'moderator', // List, read and close reports
+  view_violations: 'moderator', // Read a user's violation history
+  ban_users: 'moderator', // Ban users for a time and lift timed bans
+  block_ips: 'moderator', // Block IP addresses for a time and lift timed blocks
+  watch_moderation: 'moderator', // Join the /moderation socket namespace
+  manage_permanent_bans: 'admin', // Issue and lift permanent user bans and IP blocks
+  manage_moderation_terms: 'admin', // Edit the moderation prefilter
+  view_system_health: 'admin' // Read component health and metrics
+};
+
+/**
+ * Extract the bearer token from a Socket.io handshake
+ * @param {Object} handshake - Socket.io handshake object
+ * @returns {string|null} - Token or null if none was provided
+ */
+function getHandshakeToken(handshake) {
+  if (handshake.auth && handshake.auth.token) {
+    return handshake.auth.token;
+  }
+  
+  const authHeader = handshake.headers && handshake.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.split(' ')[1];
+  }
+  
+  return null;
+}
+
+/**
+ * Compile the TRUST_PROXY setting into a proxy-addr trust function, as Express does for 'trust proxy'
+ * @param {boolean|number|string[]} value - Parsed TRUST_PROXY setting
+ * @returns {Function} - Trust function (address, hop) => boolean
+ */
+function compileTrust(value) {
+  if (value === true) return () => true;
+  if (typeof value === 'number') return (address, hop) => hop < value;
+  
+  return proxyaddr.compile(value || []);
+}
+
+const trustProxy = compileTrust(env.TRUST_PROXY);
+
+/**
+ * Get the client IP address of a Socket.io connection
+ * Reads X-Forwarded-For on the handshake request through the trusted proxies,
+ * matching req.ip on REST requests.
+ * @param {Object} socket - Socket.io socket
+ * @returns {string} - Client IP address
+ */
+function getSocketAddress(socket) {
+  return proxyaddr(socket.request, trustProxy);
+}
+
+/**
+ * Build a Socket.io middleware error with a machine-readable code
+ * @param {string} message - Error message sent to the client
+ * @param {string} code - Error code for the client to act on
+ * @param {Object} [details] - Extra data for the client
+ * @returns {Error} - Error with code and details attached as data
+ */
+function socketAuthError(message, code, details = {}) {
+  const error = new Error(message);
+  error.data = { code, ...details };
+  return error;
+}
+
+/**
+ * Work out the role a user holds both in their token and in the database
+ * @param {Object} user - User from a verified token ({ id, role })
+ * @returns {Promise<string|null>} - The lower of the token and stored roles, or null if the user no longer exists
+ */
+async function confirmRole(user) {
+  const { data, error } = await supabase
+    .from('users')
+    .select('role')
+    .eq('id', user.id)
+    .maybeSingle();
+  
+  if (error) throw error;
+  if (!data) return null;
+  
+  const tokenRole = user.role || 'user';
+  return auth.hasRole(tokenRole, data.role) ? data.role : tokenRole;
+}
+
+/**
+ * Find a ban the user is under
+ * Lookup failures are logged and let the user through, like isIPBlocked.
+ * @param {string} userId - User ID from the verified token
+ * @returns {Promise<Object|null>} - Enforcement { type, reason, expiresAt, remainingMs }, or null if not banned
+ */
+async function findBan(userId) {
+  try {
+    return await enforcementService.checkEnforcement(userId, 'connect');
+  } catch (error) {
+    console.error('Error checking for a ban:', error);
+    return null;
+  }
+}
 
 /**
  * Authentication middleware
@@ -11,7 +120,8 @@ const auth = {
    * @param {Object} res - Express response object
    * @param {Function} next - Express next function
    */
-  requireAuth: (req, res, next) => {
+  requireAuth: async (req, res, next) => {
+    let decoded;
     try {
       // Get token from header
       const authHeader = req.headers.authorization;
@@ -22,16 +132,29 @@ const auth = {
       const token = authHeader.split(' ')[1];
       
       // Verify token
-      const decoded = jwt.verify(token, env.JWT_SECRET);
-      
-      // Add user to request
-      req.user = decoded;
-      
-      next();
+      decoded = jwt.verify(token, env.JWT_SECRET);
     } catch (error) {
       console.error('Authentication error:', error);
-      res.status(401).json({ error: 'Invalid or expired token' });
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+    
+    // Banned users and IPs are refused everywhere, not just in chat
+    if (await moderationService.isIPBlocked(req.ip)) {
+      return res.status(403).json({ error: 'Your IP address has been blocked due to violations.' });
+    }
+    
+    const ban = await findBan(decoded.id);
+    if (ban) {
+      return res.status(403).json({
+        error: 'You have been banned due to violations.',
+        enforcement: ban
+      });
     }
+    
+    // Add user to request
+    req.user = decoded;
+    
+    next();
   },
   
   /**
@@ -45,12 +168,191 @@ const auth = {
       return res.status(401).json({ error: 'Authentication required' });
     }
     
-    if (req.user.isGuest) {
+    if (!auth.isRegistered(req.user)) {
       return res.status(403).json({ error: 'This feature is only available for registered users' });
     }
     
     next();
+  },
+  
+  /**
+   * Middleware to require a role or higher (see ROLES)
+   * The role claimed in the token must be confirmed by the database, so demoting
+   * a user takes effect straight away; promoted users need a new token. The
+   * confirmed role is kept on the request, so later checks reuse it.
+   * @param {string} role - Least role allowed
+   * @returns {Function} - Express middleware
+   */
+  requireRole: (role) => async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    
+    try {
+      if (!req.confirmedRole) {
+        if (!auth.hasRole(req.user.role || 'user', role)) {
+          return res.status(403).json({ error: `This feature requires the ${role} role` });
+        }
+        
+        req.confirmedRole = await confirmRole(req.user);
+      }
+      
+      if (!auth.hasRole(req.confirmedRole, role)) {
+        return res.status(403).json({ error: `This feature requires the ${role} role` });
+      }
+      
+      req.user.role = req.confirmedRole;
+      next();
+    } catch (error) {
+      console.error('Error checking role:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  },
+  
+  /**
+   * Middleware to require a permission (see PERMISSIONS)
+   * Throws when the route is defined if the permission is unknown, rather than letting everyone through.
+   * @param {string} permission - Permission name
+   * @returns {Function} - Express middleware
+   */
+  requirePermission: (permission) => {
+    if (!PERMISSIONS[permission]) {
+      throw new Error(`Unknown permission: ${permission}`);
+    }
+    
+    return auth.requireRole(PERMISSIONS[permission]);
+  },
+  
+  /**
+   * Check if a role is at least as privileged as another
+   * @param {string} role - Role to check
+   * @param {string} requiredRole - Least role allowed
+   * @returns {boolean} - True if role ranks at or above requiredRole; false if requiredRole is unknown
+   */
+  hasRole: (role, requiredRole) => {
+    if (!ROLES.includes(requiredRole)) return false;
+    
+    return ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+  },
+  
+  /**
+   * Check if a role has a permission
+   * Use after requireRole, which confirms req.user.role against the database.
+   * @param {string} role - Role to check
+   * @param {string} permission - Permission name
+   * @returns {boolean} - True if the role grants the permission
+   */
+  hasPermission: (role, permission) => {
+    return auth.hasRole(role, PERMISSIONS[permission]);
+  },
+  
+  /**
+   * Check if a user is registered rather than a guest
+   * Shared by requireRegistered and socket handlers so both apply the same rule.
+   * @param {Object} user - User from a verified token ({ isGuest })
+   * @returns {boolean} - True for registered users
+   */
+  isRegistered: (user) => {
+    return !!user && !user.isGuest;
+  },
+  
+  /**
+   * Socket.io middleware to require a valid bearer token on the handshake
+   * @param {Object} socket - Socket.io socket
+   * @param {Function} next - Socket.io next function
+   */
+  requireSocketAuth: async (socket, next) => {
+    const { decoded, ipAddress, error } = await auth.verifySocketToken(socket, getHandshakeToken(socket.handshake));
+    if (error) {
+      return next(error);
+    }
+    
+    // Attach verified identity to socket
+    socket.user = auth.socketUser(decoded);
+    socket.userId = decoded.id;
+    socket.ipAddress = ipAddress;
+    socket.tokenExpiresAt = decoded.exp ? decoded.exp * 1000 : null;
+    
+    next();
+  },
+  
+  /**
+   * Verify a socket's token and check that its user and IP address may connect
+   * Shared by the handshake and 'reauthenticate', so a fresh token passes the
+   * same checks as the first one.
+   * @param {Object} socket - Socket.io socket
+   * @param {string} token - Bearer token
+   * @returns {Promise<Object>} - { decoded, ipAddress }, or { error } with a socketAuthError
+   */
+  verifySocketToken: async (socket, token) => {
+    if (!token) {
+      return { error: socketAuthError('Authorization token required', 'TOKEN_REQUIRED') };
+    }
+    
+    let decoded;
+    try {
+      decoded = jwt.verify(token, env.JWT_SECRET);
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        return { error: socketAuthError('Token expired, please re-authenticate', 'TOKEN_EXPIRED') };
+      }
+      return { error: socketAuthError('Invalid or expired token', 'TOKEN_INVALID') };
+    }
+    
+    // Reject connections from blocked IPs
+    const ipAddress = getSocketAddress(socket);
+    if (await moderationService.isIPBlocked(ipAddress)) {
+      return { error: socketAuthError('Your IP address has been blocked due to violations.', 'IP_BLOCKED') };
+    }
+    
+    const ban = await findBan(decoded.id);
+    if (ban) {
+      return { error: socketAuthError('You have been banned due to violations.', 'BANNED', { enforcement: ban }) };
+    }
+    
+    return { decoded, ipAddress };
+  },
+  
+  /**
+   * Build the identity attached to a socket from a verified token
+   * Shared by the handshake and 'reauthenticate' so both carry the same claims.
+   * @param {Object} decoded - Verified token payload
+   * @returns {Object} - { id, isGuest, username, role, language, region }
+   */
+  socketUser: (decoded) => {
+    return {
+      id: decoded.id,
+      isGuest: !!decoded.isGuest,
+      username: decoded.username,
+      role: decoded.role || 'user',
+      language: decoded.language || null,
+      region: decoded.region || null
+    };
+  },
+  
+  /**
+   * Socket.io middleware to require a role or higher, for privileged namespaces
+   * Use after requireSocketAuth; the role is confirmed like requireRole.
+   * @param {string} role - Least role allowed
+   * @returns {Function} - Socket.io middleware
+   */
+  requireSocketRole: (role) => async (socket, next) => {
+    try {
+      const confirmedRole = auth.hasRole(socket.user.role, role) ? await confirmRole(socket.user) : null;
+      if (!auth.hasRole(confirmedRole, role)) {
+        return next(socketAuthError(`This namespace requires the ${role} role`, 'FORBIDDEN'));
+      }
+      
+      socket.user.role = confirmedRole;
+      next();
+    } catch (error) {
+      console.error('Error checking socket role:', error);
+      next(socketAuthError('Failed to check your role', 'ROLE_CHECK_FAILED'));
+    }
   }
 };
 
+auth.ROLES = ROLES;
+auth.PERMISSIONS = PERMISSIONS;
+
 module.exports = auth;
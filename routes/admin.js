@@ -0,0 +1,317 @@
+const express = require('express');
+const supabase = require('../config/db');
+const auth = require('../middleware/auth');
+const matchingService = require('../services/matchingService');
+const moderationService = require('../services/moderationService');
+const moderationPrefilter = require('../services/moderationPrefilter');
+const violationService = require('../services/violationService');
+const enforcementService = require('../services/enforcementService');
+const reportService = require('../services/reportService');
+const { getHealthChecks, getMetrics } = require('../services/monitoring');
+
+const router = express.Router();
+
+// Every admin route needs at least a moderator; routes check their own permission
+// below, reusing the role confirmed here
+router.use(auth.requireAuth, auth.requireRole('moderator'));
+
+// Refuse with 403 unless the user's role has a permission
+function forbidUnless(req, res, permission) {
+  if (auth.hasPermission(req.user.role, permission)) return false;
+  
+  res.status(403).json({ error: `This action requires the ${auth.PERMISSIONS[permission]} role` });
+  return true;
+}
+
+// Refuse with 403 unless the target user's role is below the caller's
+function forbidUnlessOutranks(req, res, targetRole) {
+  if (!auth.hasRole(targetRole || 'user', req.user.role)) return false;
+  
+  res.status(403).json({ error: 'You cannot sanction a user whose role is equal to or higher than yours' });
+  return true;
+}
+
+// Get a user's ID and role
+async function findUser(userId) {
+  const { data, error } = await supabase
+    .from('users')
+    .select('id, role')
+    .eq('id', userId)
+    .maybeSingle();
+  
+  if (error) throw error;
+  return data;
+}
+
+// Parse an optional duration from a request body
+// Returns the expiry (null when permanent), or undefined if the duration is invalid
+function parseExpiry(durationMs) {
+  if (durationMs === undefined || durationMs === null) return null;
+  
+  const duration = Number(durationMs);
+  if (!Number.isInteger(duration) || duration <= 0) return undefined;
+  
+  return new Date(Date.now() + duration);
+}
+
+// Page through reports, newest first; filter with ?status=, ?category=, ?reportedId= and ?reporterId=
+router.get('/reports', auth.requirePermission('review_reports'), async (req, res) => {
+  try {
+    const { status, category, reportedId, reporterId, before, limit } = req.query;
+    
+    if (status && !reportService.REPORT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${reportService.REPORT_STATUSES.join(', ')}` });
+    }
+    
+    if (category && !reportService.REPORT_CATEGORIES.includes(category)) {
+      return res.status(400).json({ error: `Category must be one of: ${reportService.REPORT_CATEGORIES.join(', ')}` });
+    }
+    
+    if (before && isNaN(Date.parse(before))) {
+      return res.status(400).json({ error: 'before must be an ISO timestamp' });
+    }
+    
+    const page = await reportService.listReports({ status, category, reportedId, reporterId, before, limit });
+    
+    res.status(200).json(page);
+  } catch (error) {
+    console.error('Error in list reports endpoint:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a report with its evidence snapshot and session transcript or reported direct message
+router.get('/reports/:reportId', auth.requirePermission('review_reports'), async (req, res) => {
+  try {
+    const report = await reportService.getReport(req.params.reportId);
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    
+    res.status(200).json({ report });
+  } catch (error) {
+    console.error('Error in get report endpoint:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Take an open report for review
+router.post('/reports/:reportId/review', auth.requirePermission('review_reports'), async (req, res) => {
+  try {
+    const report = await reportService.startReview(req.params.reportId, req.user.id);
+    if (!report) {
+      return res.status(409).json({ error: 'Report not found or no longer open' });
+    }
+    
+    res.status(200).json({ report });
+  } catch (error) {
+    console.error('Error in review report endpoint:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Close a report as actioned or dismissed, with an optional { note }
+function closeReport(status) {
+  return async (req, res) => {
+    try {
+      const report = await reportService.closeReport(req.params.reportId, status, req.user.id, req.body.note);
+      if (!report) {
+        return res.status(409).json({ error: 'Report not found or already closed' });
+      }
+      
+      res.status(200).json({ report });
+    } catch (error) {
+      console.error('Error in close report endpoint:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+router.post('/reports/:reportId/action', auth.requirePermission('review_reports'), closeReport('actioned'));
+router.post('/reports/:reportId/dismiss', auth.requirePermission('review_reports'), closeReport('dismissed'));
+
+// View a user's violations, strike total and enforcement states
+router.get('/users/:userId/violations', auth.requirePermission('view_violations'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    
+    const [violations, strikes, enforcements] = await Promise.all([
+      violationService.listViolations(userId),
+      violationService.getStrikes({ userId }),
+      enforcementService.getEnforcements(userId)
+    ]);
+    
+    res.status(200).json({ violations, strikes, enforcements });
+  } catch (error) {
+    console.error('Error in violation history endpoint:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Ban a user with { reason, durationMs }; leave out durationMs for a permanent ban (admins only)
+router.post('/users/:userId/ban', auth.requirePermission('ban_users'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { reason } = req.body;
+    const expiresAt = parseExpiry(req.body.durationMs);
+    
+    if (!reason) {
+      return res.status(400).json({ error: 'Reason is required' });
+    }
+    
+    if (expiresAt === undefined) {
+      return res.status(400).json({ error: 'durationMs must be a positive whole number of milliseconds' });
+    }
+    
+    if (!expiresAt && forbidUnless(req, res, 'manage_permanent_bans')) return;
+    
+    const user = await findUser(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    if (forbidUnlessOutranks(req, res, user.role)) return;
+    
+    const enforcement = await enforcementService.applyEnforcement(userId, 'ban', { reason, expiresAt });
+    
+    // Banned users can no longer send or match, so end any chat they are in
+    await matchingService.endUserSession(userId, 'kicked');
+    
+    res.status(200).json({ enforcement });
+  } catch (error) {
+    console.error('Error in ban user endpoint:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Lift a user's ban; only admins can lift a permanent ban
+router.delete('/users/:userId/ban', auth.requirePermission('ban_users'), async (req, res) => {
+  try {
+    const user = await findUser(req.params.userId);
+    if (user && forbidUnlessOutranks(req, res, user.role)) return;
+    
+    const enforcements = await enforcementService.getEnforcements(req.params.userId);
+    const ban = enforcements.find(enforcement => enforcement.type === 'ban');
+    if (ban && !ban.expiresAt && forbidUnless(req, res, 'manage_permanent_bans')) return;
+    
+    const lifted = await enforcementService.liftEnforcement(req.params.userId, 'ban');
+    if (!lifted) {
+      return res.status(404).json({ error: 'User is not banned' });
+    }
+    
+    res.status(200).json({ message: 'Ban lifted' });
+  } catch (error) {
+    console.error('Error in unban user endpoint:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List blocked IP addresses
+router.get('/blocked-ips', auth.requirePermission('block_ips'), async (req, res) => {
+  try {
+    const blockedIPs = await moderationService.listBlockedIPs();
+    
+    res.status(200).json({ blockedIPs });
+  } catch (error) {
+    console.error('Error in list blocked IPs endpoint:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Block an IP address with { ipAddress, reason, durationMs }; leave out durationMs for a permanent block (admins only)
+router.post('/blocked-ips', auth.requirePermission('block_ips'), async (req, res) => {
+  try {
+    const { ipAddress, reason } = req.body;
+    const expiresAt = parseExpiry(req.body.durationMs);
+    
+    if (!ipAddress || !reason) {
+      return res.status(400).json({ error: 'IP address and reason are required' });
+    }
+    
+    if (expiresAt === undefined) {
+      return res.status(400).json({ error: 'durationMs must be a positive whole number of milliseconds' });
+    }
+    
+    if (!expiresAt && forbidUnless(req, res, 'manage_permanent_bans')) return;
+    
+    await moderationService.blockIP(ipAddress, reason, expiresAt);
+    
+    res.status(201).json({ message: 'IP address blocked' });
+  } catch (error) {
+    console.error('Error in block IP endpoint:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Unblock an IP address; only admins can lift a permanent block
+router.delete('/blocked-ips/:ipAddress', auth.requirePermission('block_ips'), async (req, res) => {
+  try {
+    const block = await moderationService.getIPBlock(req.params.ipAddress);
+    if (block && !block.expires_at && forbidUnless(req, res, 'manage_permanent_bans')) return;
+    
+    const unblocked = await moderationService.unblockIP(req.params.ipAddress);
+    if (!unblocked) {
+      return res.status(404).json({ error: 'IP address is not blocked' });
+    }
+    
+    res.status(200).json({ message: 'IP address unblocked' });
+  } catch (error) {
+    console.error('Error in unblock IP endpoint:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List moderation prefilter entries
+router.get('/moderation-terms', auth.requirePermission('manage_moderation_terms'), async (req, res) => {
+  try {
+    const terms = await moderationPrefilter.listEntries();
+    
+    res.status(200).json({ terms });
+  } catch (error) {
+    console.error('Error in list moderation terms endpoint:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add a moderation prefilter entry { term, matchType, category, severity }
+router.post('/moderation-terms', auth.requirePermission('manage_moderation_terms'), async (req, res) => {
+  try {
+    const validationError = moderationPrefilter.validateEntry(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const term = await moderationPrefilter.addEntry(req.body, req.user.id);
+    
+    res.status(201).json({ term });
+  } catch (error) {
+    console.error('Error in add moderation term endpoint:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove a moderation prefilter entry
+router.delete('/moderation-terms/:termId', auth.requirePermission('manage_moderation_terms'), async (req, res) => {
+  try {
+    const removed = await moderationPrefilter.removeEntry(req.params.termId);
+    if (!removed) {
+      return res.status(404).json({ error: 'Moderation term not found' });
+    }
+    
+    res.status(200).json({ message: 'Moderation term removed' });
+  } catch (error) {
+    console.error('Error in remove moderation term endpoint:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Component health (including the moderation circuit breaker) and metrics
+router.get('/health', auth.requirePermission('view_system_health'), (req, res) => {
+  res.status(200).json({
+    timestamp: new Date().toISOString(),
+    components: getHealthChecks(),
+    metrics: getMetrics()
+  });
+});
+
+module.exports = router;
@@ -1,9 +1,121 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { v4: uuidv4 } = require('uuid');
 const auth = require('../middleware/auth');
 const supabase = require('../config/db');
+const env = require('../config/env');
+const matchingService = require('../services/matchingService');
+const moderationService = require('../services/moderationService');
+const directMessageService = require('../services/directMessageService');
+const reportService = require('../services/reportService');
+const imageStorage = require('../services/imageStorage');
+const { IMAGE_TYPES, matchesType } = require('../services/imageTypes');
 
 const router = express.Router();
 
+// Rate limiter for image uploads
+const imageLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 10, // 10 uploads per minute
+  message: 'Too many image uploads, please try again later.'
+});
+
+// Read the raw image body, replying with JSON errors for oversized uploads
+const imageParser = express.raw({ type: Object.keys(IMAGE_TYPES), limit: env.IMAGE_MAX_BYTES });
+
+function parseImage(req, res, next) {
+  imageParser(req, res, (error) => {
+    if (error && error.type === 'entity.too.large') {
+      return res.status(413).json({ error: `Images must be at most ${env.IMAGE_MAX_BYTES} bytes` });
+    }
+    next(error);
+  });
+}
+
+// Number of past sessions returned by the chat history
+const HISTORY_SESSION_LIMIT = 20;
+
+/**
+ * Find the chat sessions a user took part in
+ * Pair sessions name their users as user1_id/user2_id; group rooms list their
+ * members in chat_session_members.
+ * @param {string} userId - User ID
+ * @param {Object} [options] - Query options
+ * @param {boolean} [options.active] - Only active sessions the user is still in
+ * @returns {Promise<Object[]>} - chat_sessions rows, newest first
+ */
+async function findUserSessions(userId, { active = false } = {}) {
+  let membershipQuery = supabase
+    .from('chat_session_members')
+    .select('session_id')
+    .eq('user_id', userId)
+    .order('joined_at', { ascending: false })
+    .limit(HISTORY_SESSION_LIMIT);
+  
+  if (active) membershipQuery = membershipQuery.is('left_at', null);
+  
+  const { data: memberships, error: membershipError } = await membershipQuery;
+  if (membershipError) throw membershipError;
+  
+  const filters = [`user1_id.eq.${userId}`, `user2_id.eq.${userId}`];
+  if (memberships.length > 0) {
+    filters.push(`id.in.(${memberships.map(membership => membership.session_id).join(',')})`);
+  }
+  
+  let query = supabase
+    .from('chat_sessions')
+    .select('id, mode, user1_id, user2_id, started_at, ended_at, status')
+    .or(filters.join(','))
+    .order('started_at', { ascending: false })
+    .limit(HISTORY_SESSION_LIMIT);
+  
+  if (active) query = query.eq('status', 'active');
+  
+  const { data: sessions, error } = await query;
+  if (error) throw error;
+  return sessions;
+}
+
+/**
+ * Describe who else was in a session
+ * @param {Object} session - chat_sessions row
+ * @param {string} userId - User viewing the session
+ * @returns {Promise<Object>} - { partner } for pair sessions, { members } for group rooms
+ */
+async function describeParticipants(session, userId) {
+  if (session.mode === 'group') {
+    const { data: members } = await supabase
+      .from('chat_session_members')
+      .select('user_id, joined_at, left_at, users(username, is_guest)')
+      .eq('session_id', session.id);
+    
+    return {
+      members: (members || []).map(member => ({
+        id: member.user_id,
+        username: member.users ? member.users.username : 'Unknown User',
+        isGuest: member.users ? member.users.is_guest : true,
+        joinedAt: member.joined_at,
+        leftAt: member.left_at
+      }))
+    };
+  }
+  
+  const partnerId = session.user1_id === userId ? session.user2_id : session.user1_id;
+  const { data: partner } = await supabase
+    .from('users')
+    .select('username, is_guest')
+    .eq('id', partnerId)
+    .single();
+  
+  return {
+    partner: partner ? {
+      id: partnerId,
+      username: partner.username,
+      isGuest: partner.is_guest
+    } : { id: partnerId, username: 'Unknown User', isGuest: true }
+  };
+}
+
 // Get chat history for a user (registered users only)
 router.get('/chat/history', auth.requireAuth, async (req, res) => {
   try {
@@ -14,15 +126,11 @@ router.get('/chat/history', auth.requireAuth, async (req, res) => {
       return res.status(403).json({ error: 'Chat history is only available for registered users' });
     }
     
-    // Get user's chat sessions
-    const { data: sessions, error: sessionsError } = await supabase
-      .from('chat_sessions')
-      .select('id, user1_id, user2_id, started_at, ended_at, status')
-      .or(`user1_id.eq.${userId},user2_id.eq.${userId}`)
-      .order('started_at', { ascending: false })
-      .limit(20);
-    
-    if (sessionsError) {
+    // Get user's chat sessions, pairs and group rooms alike
+    let sessions;
+    try {
+      sessions = await findUserSessions(userId);
+    } catch (sessionsError) {
       console.error('Error fetching chat sessions:', sessionsError);
       return res.status(500).json({ error: 'Failed to fetch chat history' });
     }
@@ -31,8 +139,9 @@ router.get('/chat/history', auth.requireAuth, async (req, res) => {
     const sessionsWithMessages = await Promise.all(sessions.map(async (session) => {
       const { data: messages, error: messagesError } = await supabase
         .from('messages')
-        .select('id, sender_id, content, created_at, flagged')
+        .select('id, sender_id, content, image_url, created_at, edited_at, flagged')
         .eq('session_id', session.id)
+        .is('deleted_at', null) // Unsent messages stay visible to moderators only
         .order('created_at', { ascending: true });
       
       if (messagesError) {
@@ -40,22 +149,10 @@ router.get('/chat/history', auth.requireAuth, async (req, res) => {
         return { ...session, messages: [] };
       }
       
-      // Get partner info
-      const partnerId = session.user1_id === userId ? session.user2_id : session.user1_id;
-      const { data: partner } = await supabase
-        .from('users')
-        .select('username, is_guest')
-        .eq('id', partnerId)
-        .single();
-      
       return {
         ...session,
         messages,
-        partner: partner ? {
-          id: partnerId,
-          username: partner.username,
-          isGuest: partner.is_guest
-        } : { id: partnerId, username: 'Unknown User', isGuest: true }
+        ...await describeParticipants(session, userId)
       };
     }));
     
@@ -71,36 +168,20 @@ router.get('/chat/sessions', auth.requireAuth, async (req, res) => {
   try {
     const userId = req.user.id;
     
-    // Get user's active chat sessions
-    const { data: sessions, error } = await supabase
-      .from('chat_sessions')
-      .select('id, user1_id, user2_id, started_at')
-      .or(`user1_id.eq.${userId},user2_id.eq.${userId}`)
-      .eq('status', 'active');
-    
-    if (error) {
+    // Get user's active chat sessions, including group rooms they are still in
+    let sessions;
+    try {
+      sessions = await findUserSessions(userId, { active: true });
+    } catch (error) {
       console.error('Error fetching active sessions:', error);
       return res.status(500).json({ error: 'Failed to fetch active sessions' });
     }
     
-    // Get partner info for each session
-    const sessionsWithPartners = await Promise.all(sessions.map(async (session) => {
-      const partnerId = session.user1_id === userId ? session.user2_id : session.user1_id;
-      const { data: partner } = await supabase
-        .from('users')
-        .select('username, is_guest')
-        .eq('id', partnerId)
-        .single();
-      
-      return {
-        ...session,
-        partner: partner ? {
-          id: partnerId,
-          username: partner.username,
-          isGuest: partner.is_guest
-        } : { id: partnerId, username: 'Unknown User', isGuest: true }
-      };
-    }));
+    // Get partner (or member) info for each session
+    const sessionsWithPartners = await Promise.all(sessions.map(async (session) => ({
+      ...session,
+      ...await describeParticipants(session, userId)
+    })));
     
     res.status(200).json({ sessions: sessionsWithPartners });
   } catch (error) {
@@ -109,20 +190,160 @@ router.get('/chat/sessions', auth.requireAuth, async (req, res) => {
   }
 });
 
+// List the user's contacts (registered users only)
+router.get('/contacts', auth.requireAuth, auth.requireRegistered, async (req, res) => {
+  try {
+    const { data: contacts, error } = await supabase
+      .from('contacts')
+      .select('contact_id, created_at')
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false });
+    
+    if (error) {
+      console.error('Error fetching contacts:', error);
+      return res.status(500).json({ error: 'Failed to fetch contacts' });
+    }
+    
+    // Get contact usernames
+    const { data: users } = await supabase
+      .from('users')
+      .select('id, username')
+      .in('id', contacts.map(contact => contact.contact_id));
+    
+    const usernames = new Map((users || []).map(user => [user.id, user.username]));
+    
+    res.status(200).json({
+      contacts: contacts.map(contact => ({
+        userId: contact.contact_id,
+        username: usernames.get(contact.contact_id) || 'Unknown User',
+        connectedAt: contact.created_at
+      }))
+    });
+  } catch (error) {
+    console.error('Error in contacts endpoint:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove a contact for both users
+router.delete('/contacts/:contactId', auth.requireAuth, auth.requireRegistered, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { contactId } = req.params;
+    
+    const results = await Promise.all([
+      supabase.from('contacts').delete().eq('user_id', userId).eq('contact_id', contactId),
+      supabase.from('contacts').delete().eq('user_id', contactId).eq('contact_id', userId)
+    ]);
+    
+    const error = results.map(result => result.error).find(Boolean);
+    if (error) {
+      console.error('Error removing contact:', error);
+      return res.status(500).json({ error: 'Failed to remove contact' });
+    }
+    
+    res.status(200).json({ message: 'Contact removed' });
+  } catch (error) {
+    console.error('Error in remove contact endpoint:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Upload an image to share in the current chat session
+// The body is the raw image with a matching Content-Type. The image stays
+// private until it is sent with the 'send_image' socket event and passes moderation.
+router.post('/images', imageLimiter, auth.requireAuth, parseImage, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const contentType = (req.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+    
+    // Images that cannot be moderated could never be sent
+    if (!moderationService.canCheckImages()) {
+      return res.status(503).json({ error: 'Image sharing is not available' });
+    }
+    
+    if (!IMAGE_TYPES[contentType] || !Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(415).json({
+        error: `Image must be one of: ${Object.keys(IMAGE_TYPES).join(', ')}`
+      });
+    }
+    
+    // Don't trust the declared type alone
+    if (!matchesType(req.body, contentType)) {
+      return res.status(415).json({ error: 'Image content does not match its type' });
+    }
+    
+    const session = await matchingService.getUserSession(userId);
+    if (!session) {
+      return res.status(400).json({ error: 'You are not in a chat session' });
+    }
+    
+    // Keys are scoped to the session and uploader so only they can send it
+    const imageId = `${session.sessionId}/${userId}/${uuidv4()}.${IMAGE_TYPES[contentType].extension}`;
+    await imageStorage.save(imageId, req.body);
+    
+    res.status(201).json({ imageId });
+  } catch (error) {
+    console.error('Error in image upload endpoint:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Store a report, returning null if it could not be stored
+async function submitReport(details) {
+  try {
+    return await reportService.createReport(details);
+  } catch (error) {
+    console.error('Error creating report:', error);
+    return null;
+  }
+}
+
 // Report a user
 router.post('/report', auth.requireAuth, async (req, res) => {
   try {
-    const { sessionId, reason } = req.body;
+    const { sessionId, directMessageId, category, reason, reportedUserId: groupMemberId } = req.body;
     const reporterId = req.user.id;
     
-    if (!sessionId || !reason) {
-      return res.status(400).json({ error: 'Session ID and reason are required' });
+    if ((!sessionId && !directMessageId) || !category) {
+      return res.status(400).json({ error: 'Session ID or direct message ID, and category are required' });
+    }
+    
+    if (!reportService.REPORT_CATEGORIES.includes(category)) {
+      return res.status(400).json({ error: `Category must be one of: ${reportService.REPORT_CATEGORIES.join(', ')}` });
+    }
+    
+    // Direct message reports name the received message; its sender is reported
+    if (directMessageId) {
+      const message = await directMessageService.getReceivedMessage(directMessageId, reporterId);
+      
+      if (!message) {
+        return res.status(404).json({ error: 'Direct message not found' });
+      }
+      
+      if (await reportService.hasReported({ reporterId, reportedId: message.sender_id, dmMessageId: message.id })) {
+        return res.status(409).json({ error: 'You have already reported this message' });
+      }
+      
+      const report = await submitReport({
+        reporterId,
+        reportedId: message.sender_id,
+        category,
+        reason,
+        directMessage: message
+      });
+      
+      if (!report) {
+        return res.status(500).json({ error: 'Failed to submit report' });
+      }
+      
+      return res.status(201).json({ message: 'Report submitted successfully', reportId: report.id });
     }
     
     // Verify reporter is part of the session
     const { data: session } = await supabase
       .from('chat_sessions')
-      .select('user1_id, user2_id')
+      .select('mode, user1_id, user2_id')
       .eq('id', sessionId)
       .single();
     
@@ -130,30 +351,58 @@ router.post('/report', auth.requireAuth, async (req, res) => {
       return res.status(404).json({ error: 'Chat session not found' });
     }
     
-    if (session.user1_id !== reporterId && session.user2_id !== reporterId) {
-      return res.status(403).json({ error: 'You are not part of this chat session' });
+    // Get reported user ID
+    let reportedUserId;
+    
+    if (session.mode === 'group') {
+      // Group room reports name the member being reported
+      if (!groupMemberId || groupMemberId === reporterId) {
+        return res.status(400).json({ error: 'Reported user ID is required for group rooms' });
+      }
+      
+      const { data: members } = await supabase
+        .from('chat_session_members')
+        .select('user_id')
+        .eq('session_id', sessionId)
+        .in('user_id', [reporterId, groupMemberId]);
+      
+      const memberIds = (members || []).map(member => member.user_id);
+      
+      if (!memberIds.includes(reporterId)) {
+        return res.status(403).json({ error: 'You are not part of this chat session' });
+      }
+      
+      if (!memberIds.includes(groupMemberId)) {
+        return res.status(400).json({ error: 'Reported user was not in this chat session' });
+      }
+      
+      reportedUserId = groupMemberId;
+    } else {
+      if (session.user1_id !== reporterId && session.user2_id !== reporterId) {
+        return res.status(403).json({ error: 'You are not part of this chat session' });
+      }
+      
+      reportedUserId = session.user1_id === reporterId ? session.user2_id : session.user1_id;
     }
     
-    // Get reported user ID
-    const reportedUserId = session.user1_id === reporterId ? session.user2_id : session.user1_id;
-    
-    // Store report in database
-    const { error } = await supabase
-      .from('reports')
-      .insert({
-        session_id: sessionId,
-        reporter_id: reporterId,
-        reported_id: reportedUserId,
-        reason,
-        created_at: new Date().toISOString()
-      });
+    if (await reportService.hasReported({ reporterId, reportedId: reportedUserId, sessionId })) {
+      return res.status(409).json({ error: 'You have already reported this user for this session' });
+    }
     
-    if (error) {
-      console.error('Error creating report:', error);
+    // Store report with a snapshot of the session
+    const report = await submitReport({
+      reporterId,
+      reportedId: reportedUserId,
+      category,
+      reason,
+      sessionId
+    });
+    
+    if (!report) {
       return res.status(500).json({ error: 'Failed to submit report' });
     }
     
-    res.status(201).json({ message: 'Report submitted successfully' });
+    res.status(201).json({ message: 'Report submitted successfully', reportId: report.id });
   } catch (error) {
     console.error('Error in report endpoint:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -5,9 +5,34 @@ const { v4: uuidv4 } = require('uuid');
 const supabase = require('../config/db');
 const env = require('../config/env');
 const rateLimit = require('express-rate-limit');
+const auth = require('../middleware/auth');
 
 const router = express.Router();
 
+// ISO 639-1 language code and ISO 3166-1 alpha-2 region code
+const LANGUAGE_PATTERN = /^[a-z]{2}$/;
+const REGION_PATTERN = /^[A-Z]{2}$/;
+
+/**
+ * Validate and normalize matching preferences from a request body
+ * @param {Object} body - Request body with optional language and region
+ * @returns {Object} - { language, region } or { error } if invalid
+ */
+function parseMatchPreferences(body) {
+  const language = body.language ? String(body.language).trim().toLowerCase() : null;
+  const region = body.region ? String(body.region).trim().toUpperCase() : null;
+  
+  if (language && !LANGUAGE_PATTERN.test(language)) {
+    return { error: 'Language must be a two-letter ISO 639-1 code' };
+  }
+  
+  if (region && !REGION_PATTERN.test(region)) {
+    return { error: 'Region must be a two-letter ISO 3166-1 country code' };
+  }
+  
+  return { language, region };
+}
+
 // Rate limiter for auth endpoints
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -31,6 +56,11 @@ router.post('/register', authLimiter, async (req, res) => {
       return res.status(400).json({ error: 'Password must be at least 8 characters long' });
     }
     
+    const preferences = parseMatchPreferences(req.body);
+    if (preferences.error) {
+      return res.status(400).json({ error: preferences.error });
+    }
+    
     // Check if username or email already exists
     const { data: existingUser } = await supabase
       .from('users')
@@ -56,6 +86,8 @@ router.post('/register', authLimiter, async (req, res) => {
         email,
         password_hash: hashedPassword,
         is_guest: false,
+        preferred_language: preferences.language,
+        region: preferences.region,
         created_at: new Date().toISOString(),
         last_login: new Date().toISOString()
       });
@@ -67,7 +99,7 @@ router.post('/register', authLimiter, async (req, res) => {
     
     // Generate JWT token
     const token = jwt.sign(
-      { id: userId, username, email, isGuest: false },
+      { id: userId, username, email, isGuest: false, role: 'user', language: preferences.language, region: preferences.region },
       env.JWT_SECRET,
       { expiresIn: env.JWT_EXPIRY }
     );
@@ -79,7 +111,10 @@ router.post('/register', authLimiter, async (req, res) => {
         id: userId,
         username,
         email,
-        isGuest: false
+        isGuest: false,
+        role: 'user',
+        language: preferences.language,
+        region: preferences.region
       }
     });
   } catch (error) {
@@ -128,7 +163,15 @@ router.post('/login', authLimiter, async (req, res) => {
     
     // Generate JWT token
     const token = jwt.sign(
-      { id: user.id, username: user.username, email: user.email, isGuest: false },
+      {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        isGuest: false,
+        role: user.role || 'user',
+        language: user.preferred_language,
+        region: user.region
+      },
       env.JWT_SECRET,
       { expiresIn: env.JWT_EXPIRY }
     );
@@ -140,7 +183,10 @@ router.post('/login', authLimiter, async (req, res) => {
         id: user.id,
         username: user.username,
         email: user.email,
-        isGuest: false
+        isGuest: false,
+        role: user.role || 'user',
+        language: user.preferred_language,
+        region: user.region
       }
     });
   } catch (error) {
@@ -152,6 +198,11 @@ router.post('/login', authLimiter, async (req, res) => {
 // Create guest account
 router.post('/guest', async (req, res) => {
   try {
+    const preferences = parseMatchPreferences(req.body);
+    if (preferences.error) {
+      return res.status(400).json({ error: preferences.error });
+    }
+    
     // Generate random username
     const guestUsername = `guest_${Math.random().toString(36).substring(2, 10)}`;
     
@@ -163,6 +214,8 @@ router.post('/guest', async (req, res) => {
         id: userId,
         username: guestUsername,
         is_guest: true,
+        preferred_language: preferences.language,
+        region: preferences.region,
         created_at: new Date().toISOString(),
         last_login: new Date().toISOString()
       });
@@ -174,7 +227,14 @@ router.post('/guest', async (req, res) => {
     
     // Generate JWT token
     const token = jwt.sign(
-      { id: userId, username: guestUsername, isGuest: true },
+      {
+        id: userId,
+        username: guestUsername,
+        isGuest: true,
+        role: 'user',
+        language: preferences.language,
+        region: preferences.region
+      },
       env.JWT_SECRET,
       { expiresIn: '24h' } // Guest tokens expire after 24 hours
     );
@@ -185,7 +245,10 @@ router.post('/guest', async (req, res) => {
       user: {
         id: userId,
         username: guestUsername,
-        isGuest: true
+        isGuest: true,
+        role: 'user',
+        language: preferences.language,
+        region: preferences.region
       }
     });
   } catch (error) {
@@ -210,7 +273,7 @@ router.get('/me', async (req, res) => {
       // Get user from database
       const { data: user } = await supabase
         .from('users')
-        .select('id, username, email, is_guest, created_at, last_login')
+        .select('id, username, email, is_guest, role, preferred_language, region, created_at, last_login')
         .eq('id', decoded.id)
         .single();
       
@@ -224,6 +287,9 @@ router.get('/me', async (req, res) => {
           username: user.username,
           email: user.email,
           isGuest: user.is_guest,
+          role: user.role,
+          language: user.preferred_language,
+          region: user.region,
           createdAt: user.created_at,
           lastLogin: user.last_login
         }
@@ -237,4 +303,43 @@ router.get('/me', async (req, res) => {
   }
 });
 
+// Update language and region matching preferences
+router.put('/preferences', auth.requireAuth, async (req, res) => {
+  try {
+    const preferences = parseMatchPreferences(req.body);
+    if (preferences.error) {
+      return res.status(400).json({ error: preferences.error });
+    }
+    
+    const { error } = await supabase
+      .from('users')
+      .update({
+        preferred_language: preferences.language,
+        region: preferences.region
+      })
+      .eq('id', req.user.id);
+    
+    if (error) {
+      console.error('Error updating preferences:', error);
+      return res.status(500).json({ error: 'Failed to update preferences' });
+    }
+    
+    // Re-issue the token with the new preferences, keeping the original expiry
+    const { iat, exp, ...claims } = req.user;
+    const token = jwt.sign(
+      { ...claims, language: preferences.language, region: preferences.region, exp },
+      env.JWT_SECRET
+    );
+    
+    res.status(200).json({
+      message: 'Preferences updated',
+      token,
+      preferences
+    });
+  } catch (error) {
+    console.error('Error in preferences endpoint:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,75 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const matchingService = require('../services/matchingService');
+const blockService = require('../services/blockService');
+
+const router = express.Router();
+
+router.use(auth.requireAuth);
+
+// List the users the current user has blocked
+router.get('/', async (req, res) => {
+  try {
+    const blocks = await blockService.listBlocks(req.user.id);
+    
+    res.status(200).json({ blocks });
+  } catch (error) {
+    console.error('Error in list blocks endpoint:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Block a partner from the current or a past session; group rooms also name the member
+router.post('/', async (req, res) => {
+  try {
+    const { sessionId, userId: memberId } = req.body;
+    const userId = req.user.id;
+    
+    if (!sessionId) {
+      return res.status(400).json({ error: 'Session ID is required' });
+    }
+    
+    const blockedId = await blockService.findSessionPartner(sessionId, userId, memberId);
+    if (!blockedId) {
+      return res.status(404).json({ error: 'No such user in your chat sessions' });
+    }
+    
+    // Guest blocks last as long as the guest's token
+    const expiresAt = auth.isRegistered(req.user) || !req.user.exp ? null : new Date(req.user.exp * 1000);
+    await blockService.blockUser(userId, blockedId, { sessionId, expiresAt });
+    
+    // Leave the session if the blocked user is still in it; they see an ordinary disconnect
+    const session = await matchingService.getUserSession(userId);
+    const sessionEnded = !!session && session.otherMembers.includes(blockedId);
+    if (sessionEnded) {
+      await matchingService.endUserSession(userId, 'ended');
+    }
+    
+    res.status(201).json({
+      message: 'User blocked',
+      userId: blockedId,
+      expiresAt: expiresAt ? expiresAt.toISOString() : null,
+      sessionEnded
+    });
+  } catch (error) {
+    console.error('Error in block endpoint:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Unblock a user
+router.delete('/:userId', async (req, res) => {
+  try {
+    const removed = await blockService.unblockUser(req.user.id, req.params.userId);
+    if (!removed) {
+      return res.status(404).json({ error: 'Block not found' });
+    }
+    
+    res.status(200).json({ message: 'User unblocked' });
+  } catch (error) {
+    console.error('Error in unblock endpoint:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,76 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const directMessageService = require('../services/directMessageService');
+
+const router = express.Router();
+
+// Direct messages are for registered users only
+router.use(auth.requireAuth, auth.requireRegistered);
+
+// List the user's conversations and message requests
+router.get('/conversations', async (req, res) => {
+  try {
+    const conversations = await directMessageService.listConversations(req.user.id);
+    
+    res.status(200).json({ conversations });
+  } catch (error) {
+    console.error('Error in list conversations endpoint:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Page through a conversation, newest first; pass nextBefore as ?before= for the next page
+router.get('/conversations/:conversationId/messages', async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const { before, limit } = req.query;
+    
+    if (before && isNaN(Date.parse(before))) {
+      return res.status(400).json({ error: 'before must be an ISO timestamp' });
+    }
+    
+    const conversation = await directMessageService.getConversation(conversationId, req.user.id);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    
+    const page = await directMessageService.getMessages(conversationId, { before, limit });
+    
+    res.status(200).json(page);
+  } catch (error) {
+    console.error('Error in conversation messages endpoint:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Accept a message request
+router.post('/conversations/:conversationId/accept', async (req, res) => {
+  try {
+    const conversation = await directMessageService.respondToRequest(req.params.conversationId, req.user.id, true);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Message request not found' });
+    }
+    
+    res.status(200).json({ message: 'Message request accepted' });
+  } catch (error) {
+    console.error('Error in accept request endpoint:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Decline a message request; the sender cannot message the user again
+router.post('/conversations/:conversationId/decline', async (req, res) => {
+  try {
+    const conversation = await directMessageService.respondToRequest(req.params.conversationId, req.user.id, false);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Message request not found' });
+    }
+    
+    res.status(200).json({ message: 'Message request declined' });
+  } catch (error) {
+    console.error('Error in decline request endpoint:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,155 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const auth = require('../middleware/auth');
+const matchingService = require('../services/matchingService');
+const moderationService = require('../services/moderationService');
+const enforcementService = require('../services/enforcementService');
+
+const router = express.Router();
+
+// Rate limiter for matching requests
+const matchLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 10, // 10 requests per minute
+  message: 'Too many match requests, please try again later.'
+});
+
+// API routes for matching
+router.post('/match', matchLimiter, auth.requireAuth, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const ipAddress = req.ip;
+    const { interests, language, region, languageMatch, regionMatch, mode } = req.body;
+    
+    // Check if IP is blocked
+    const isBlocked = await moderationService.isIPBlocked(ipAddress);
+    if (isBlocked) {
+      return res.status(403).json({
+        error: 'Your IP address has been blocked due to violations.'
+      });
+    }
+    
+    // Kicked and banned users sit out matchmaking until their cooldown ends
+    const enforcement = await enforcementService.checkEnforcement(userId, 'match');
+    if (enforcement) {
+      return res.status(403).json({
+        error: 'You cannot join matchmaking right now.',
+        enforcement
+      });
+    }
+    
+    if (await matchingService.getUserSession(userId) || await matchingService.isWaiting(userId)) {
+      return res.status(400).json({
+        error: 'You are already in a chat session or waiting queue.'
+      });
+    }
+    
+    // Match against everyone waiting, REST and socket users alike
+    const match = await matchingService.findMatch(userId, {
+      interests,
+      language: language || req.user.language,
+      region: region || req.user.region,
+      languageMatch,
+      regionMatch,
+      mode
+    });
+    if (match) {
+      return res.status(200).json({
+        message: 'Match found',
+        sessionId: match.sessionId,
+        mode: match.type,
+        members: match.members,
+        sharedInterests: match.sharedInterests
+      });
+    }
+    
+    // Return success
+    res.status(200).json({
+      message: 'Added to matching queue',
+      position: await matchingService.getQueuePosition(userId)
+    });
+  } catch (error) {
+    console.error('Error in match endpoint:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/skip', auth.requireAuth, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    
+    // End current session
+    const session = await matchingService.endUserSession(userId, 'skipped');
+    if (!session) {
+      return res.status(400).json({
+        error: 'You are not in a chat session.'
+      });
+    }
+    
+    // The session still ends, but users under a cooldown or suspension are not re-queued
+    const enforcement = await enforcementService.checkEnforcement(userId, 'match');
+    if (enforcement) {
+      return res.status(403).json({
+        error: 'Session ended, but you cannot join matchmaking right now.',
+        enforcement
+      });
+    }
+    
+    // Put user back in matching with their last preferences; group members look for another room
+    const preferences = await matchingService.getMatchPreferences(userId);
+    await matchingService.findMatch(userId, { ...preferences, mode: session.type });
+    
+    res.status(200).json({
+      message: 'Session ended and added back to matching queue'
+    });
+  } catch (error) {
+    console.error('Error in skip endpoint:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/end', auth.requireAuth, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    
+    // End current session
+    const session = await matchingService.endUserSession(userId, 'ended');
+    if (!session) {
+      return res.status(400).json({
+        error: 'You are not in a chat session.'
+      });
+    }
+    
+    res.status(200).json({
+      message: 'Session ended successfully'
+    });
+  } catch (error) {
+    console.error('Error in end endpoint:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.get('/status', auth.requireAuth, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    
+    // Get user's current session
+    const session = await matchingService.getUserSession(userId);
+    
+    // Get waiting queue position
+    const queuePosition = await matchingService.getQueuePosition(userId);
+    
+    res.status(200).json({
+      inSession: !!session,
+      session,
+      inQueue: queuePosition !== null,
+      queuePosition,
+      stats: await matchingService.getStats()
+    });
+  } catch (error) {
+    console.error('Error in status endpoint:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
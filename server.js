@@ -1,5 +1,7 @@
 const { app, server } = require('./app');
 const env = require('./config/env');
+const { initializeSocket } = require('./config/socket');
+const stateStore = require('./services/stateStore');
 const { logger, performanceMonitor, errorTracker, requestLogger } = require('./services/monitoring');
 
 // Apply monitoring middleware
@@ -11,9 +13,15 @@ app.use(errorTracker);
 
 // Start server
 const port = env.PORT;
-const startServer = () => {
+const startServer = async () => {
+  // Connect shared state before accepting traffic
+  await stateStore.connect();
+  
+  // Attach Socket.io to the HTTP server
+  initializeSocket(server);
+  
   server.listen(port, () => {
-    logger.info(`Server is running on port ${port} in ${env.NODE_ENV} mode`);
+    logger.info(`Server is running on port ${port} in ${env.NODE_ENV} mode (${env.STATE_STORE} state store)`);
   });
 };
 
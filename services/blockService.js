@@ -0,0 +1,182 @@
+const supabase = require('../config/db');
+
+/**
+ * Block service
+ * Per-user block lists. A block works both ways: the matchmaker never pairs
+ * the two users and neither can direct message the other.
+ *
+ * Users can only block someone they shared a chat session with. Blocks made
+ * by registered users last until removed; guest blocks expire with the guest's
+ * token, since the guest account cannot be used after that.
+ */
+
+/**
+ * Find another user the given user shared a chat session with
+ * @param {string} sessionId - Chat session ID
+ * @param {string} userId - User ID that must have been in the session
+ * @param {string} [memberId] - Other member, required for group rooms
+ * @returns {Promise<string|null>} - Other user's ID, or null if they did not share the session
+ */
+async function findSessionPartner(sessionId, userId, memberId) {
+  const { data: session, error } = await supabase
+    .from('chat_sessions')
+    .select('mode, user1_id, user2_id')
+    .eq('id', sessionId)
+    .maybeSingle();
+  
+  if (error) throw error;
+  if (!session) return null;
+  
+  if (session.mode !== 'group') {
+    if (session.user1_id !== userId && session.user2_id !== userId) return null;
+    
+    const partnerId = session.user1_id === userId ? session.user2_id : session.user1_id;
+    return !memberId || memberId === partnerId ? partnerId : null;
+  }
+  
+  if (!memberId || memberId === userId) return null;
+  
+  const { data: members, error: membersError } = await supabase
+    .from('chat_session_members')
+    .select('user_id')
+    .eq('session_id', sessionId)
+    .in('user_id', [userId, memberId]);
+  
+  if (membersError) throw membersError;
+  
+  const memberIds = members.map(member => member.user_id);
+  return memberIds.includes(userId) && memberIds.includes(memberId) ? memberId : null;
+}
+
+/**
+ * Block a user
+ * Blocking someone already blocked refreshes the block.
+ * @param {string} blockerId - User ID making the block
+ * @param {string} blockedId - User ID being blocked
+ * @param {Object} [options] - Block options
+ * @param {string} [options.sessionId] - Session the users shared
+ * @param {Date} [options.expiresAt] - When the block lapses (null for never)
+ * @returns {Promise<Object>} - Stored block row
+ */
+async function blockUser(blockerId, blockedId, { sessionId = null, expiresAt = null } = {}) {
+  const { data, error } = await supabase
+    .from('user_blocks')
+    .upsert({
+      blocker_id: blockerId,
+      blocked_id: blockedId,
+      session_id: sessionId,
+      created_at: new Date().toISOString(),
+      expires_at: expiresAt ? expiresAt.toISOString() : null
+    }, { onConflict: 'blocker_id,blocked_id' })
+    .select()
+    .single();
+  
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Remove a block
+ * @param {string} blockerId - User ID that made the block
+ * @param {string} blockedId - Blocked user ID
+ * @returns {Promise<boolean>} - True if a block was removed
+ */
+async function unblockUser(blockerId, blockedId) {
+  const { data, error } = await supabase
+    .from('user_blocks')
+    .delete()
+    .eq('blocker_id', blockerId)
+    .eq('blocked_id', blockedId)
+    .select('id');
+  
+  if (error) throw error;
+  return data.length > 0;
+}
+
+/**
+ * List the users a user has blocked
+ * @param {string} blockerId - User ID
+ * @returns {Promise<Object[]>} - Active blocks with the blocked user's username
+ */
+async function listBlocks(blockerId) {
+  const { data: blocks, error } = await supabase
+    .from('user_blocks')
+    .select('blocked_id, session_id, created_at, expires_at')
+    .eq('blocker_id', blockerId)
+    .or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`)
+    .order('created_at', { ascending: false });
+  
+  if (error) throw error;
+  
+  const { data: users } = await supabase
+    .from('users')
+    .select('id, username')
+    .in('id', blocks.map(block => block.blocked_id));
+  
+  const usernames = new Map((users || []).map(user => [user.id, user.username]));
+  
+  return blocks.map(block => ({
+    userId: block.blocked_id,
+    username: usernames.get(block.blocked_id) || 'Unknown User',
+    sessionId: block.session_id,
+    createdAt: block.created_at,
+    expiresAt: block.expires_at
+  }));
+}
+
+/**
+ * Get everyone a user must be kept apart from
+ * @param {string} userId - User ID
+ * @returns {Promise<Set<string>>} - IDs of users the user blocked or was blocked by
+ */
+async function getBlockedUserIds(userId) {
+  return (await getBlockedUserIdsFor([userId])).get(userId);
+}
+
+/**
+ * Get everyone each of several users must be kept apart from, in one query
+ * @param {string[]} userIds - User IDs
+ * @returns {Promise<Map<string, Set<string>>>} - User ID -> IDs of users they blocked or were blocked by
+ */
+async function getBlockedUserIdsFor(userIds) {
+  const blockedBy = new Map(userIds.map(userId => [userId, new Set()]));
+  if (userIds.length === 0) return blockedBy;
+  
+  const ids = userIds.join(',');
+  const { data, error } = await supabase
+    .from('user_blocks')
+    .select('blocker_id, blocked_id, expires_at')
+    .or(`blocker_id.in.(${ids}),blocked_id.in.(${ids})`);
+  
+  if (error) throw error;
+  
+  const now = Date.now();
+  for (const block of data) {
+    if (block.expires_at && new Date(block.expires_at).getTime() <= now) continue;
+    
+    if (blockedBy.has(block.blocker_id)) blockedBy.get(block.blocker_id).add(block.blocked_id);
+    if (blockedBy.has(block.blocked_id)) blockedBy.get(block.blocked_id).add(block.blocker_id);
+  }
+  
+  return blockedBy;
+}
+
+/**
+ * Check whether either of two users has blocked the other
+ * @param {string} userId - User ID
+ * @param {string} otherId - Other user ID
+ * @returns {Promise<boolean>} - True if the users are kept apart
+ */
+async function isBlockedBetween(userId, otherId) {
+  return (await getBlockedUserIds(userId)).has(otherId);
+}
+
+module.exports = {
+  findSessionPartner,
+  blockUser,
+  unblockUser,
+  listBlocks,
+  getBlockedUserIds,
+  getBlockedUserIdsFor,
+  isBlockedBetween
+};
@@ -0,0 +1,384 @@
+const supabase = require('../config/db');
+const blockService = require('./blockService');
+
+// Page size limits for conversation history
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Postgres error code for a unique constraint violation
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Direct message service
+ * Persistent one-to-one messaging between registered users, addressed by
+ * username.
+ *
+ * Recipients consent before a stranger can keep messaging them: the first
+ * message opens a pending conversation, and the sender cannot send more until
+ * the recipient accepts (or replies). Users who are already contacts start
+ * with an accepted conversation. Declined conversations stay closed, as do
+ * conversations between users who blocked each other.
+ *
+ * Every message is stored with a delivered_at timestamp, so messages to
+ * offline recipients stay queued until they next connect.
+ */
+
+/**
+ * Look up a registered user by username
+ * @param {string} username - Username to find
+ * @returns {Promise<Object|null>} - { id, username } or null if not found or a guest
+ */
+async function findRegisteredUser(username) {
+  const { data, error } = await supabase
+    .from('users')
+    .select('id, username, is_guest')
+    .eq('username', username)
+    .maybeSingle();
+  
+  if (error) throw error;
+  if (!data || data.is_guest) return null;
+  
+  return { id: data.id, username: data.username };
+}
+
+/**
+ * Get the conversation between two users, if any
+ * @param {string} userId - First user ID
+ * @param {string} otherId - Second user ID
+ * @returns {Promise<Object|null>} - Conversation row or null
+ */
+async function getConversationBetween(userId, otherId) {
+  const { data, error } = await supabase
+    .from('dm_conversations')
+    .select('*')
+    .or(`and(user1_id.eq.${userId},user2_id.eq.${otherId}),and(user1_id.eq.${otherId},user2_id.eq.${userId})`)
+    .maybeSingle();
+  
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Get a conversation the user takes part in
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - User ID that must be a participant
+ * @returns {Promise<Object|null>} - Conversation row or null if not found or not a participant
+ */
+async function getConversation(conversationId, userId) {
+  const { data, error } = await supabase
+    .from('dm_conversations')
+    .select('*')
+    .eq('id', conversationId)
+    .maybeSingle();
+  
+  if (error) throw error;
+  if (!data || (data.user1_id !== userId && data.user2_id !== userId)) return null;
+  
+  return data;
+}
+
+/**
+ * Check whether two users are contacts
+ * @param {string} userId - User ID
+ * @param {string} otherId - Other user ID
+ * @returns {Promise<boolean>} - True if otherId is in userId's contacts
+ */
+async function areContacts(userId, otherId) {
+  const { data, error } = await supabase
+    .from('contacts')
+    .select('id')
+    .eq('user_id', userId)
+    .eq('contact_id', otherId)
+    .maybeSingle();
+  
+  if (error) throw error;
+  return !!data;
+}
+
+/**
+ * Resolve the conversation a new message from sender to recipient belongs in
+ * Creates a pending (or, for contacts, accepted) conversation for a first
+ * message, and applies the recipient's consent to existing ones. A reply to a
+ * pending request is allowed here but only accepts the conversation once it
+ * passes moderation and is stored (see storeDirectMessage).
+ * @param {string} senderId - Sender user ID
+ * @param {string} recipientUsername - Recipient username
+ * @returns {Promise<Object>} - { conversation, recipient } or { error } if the message may not be sent
+ */
+async function openConversation(senderId, recipientUsername) {
+  const recipient = typeof recipientUsername === 'string' && recipientUsername !== ''
+    ? await findRegisteredUser(recipientUsername)
+    : null;
+  
+  if (!recipient) {
+    return { error: 'User not found' };
+  }
+  
+  if (recipient.id === senderId) {
+    return { error: 'You cannot message yourself' };
+  }
+  
+  if (await blockService.isBlockedBetween(senderId, recipient.id)) {
+    return { error: 'This user is not accepting your messages' };
+  }
+  
+  let existing = await getConversationBetween(senderId, recipient.id);
+  
+  if (!existing) {
+    const status = await areContacts(recipient.id, senderId) ? 'accepted' : 'pending';
+    const { data: conversation, error } = await supabase
+      .from('dm_conversations')
+      .insert({ user1_id: senderId, user2_id: recipient.id, status })
+      .select()
+      .single();
+    
+    if (!error) return { conversation, recipient };
+    
+    // Each pair has one conversation (idx_dm_conversations_pair); if the other
+    // user opened it first, carry on with theirs
+    if (error.code !== UNIQUE_VIOLATION) throw error;
+    existing = await getConversationBetween(senderId, recipient.id);
+  }
+  
+  if (existing.status === 'declined') {
+    return { error: 'This user is not accepting your messages' };
+  }
+  
+  if (existing.status === 'pending') {
+    // The requester waits for an answer; the recipient may reply
+    if (existing.user1_id === senderId) {
+      return { error: 'Your message request has not been accepted yet' };
+    }
+  }
+  
+  return { conversation: existing, recipient };
+}
+
+/**
+ * Accept or decline a pending message request
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - Recipient of the request
+ * @param {boolean} accept - True to accept, false to decline
+ * @returns {Promise<Object|null>} - Updated conversation, or null if there is no such request for the user
+ */
+async function respondToRequest(conversationId, userId, accept) {
+  const conversation = await getConversation(conversationId, userId);
+  if (!conversation || conversation.user2_id !== userId || conversation.status !== 'pending') {
+    return null;
+  }
+  
+  return setConversationStatus(conversationId, accept ? 'accepted' : 'declined');
+}
+
+/**
+ * Update a conversation's consent status
+ * @param {string} conversationId - Conversation ID
+ * @param {string} status - 'pending', 'accepted' or 'declined'
+ * @returns {Promise<Object>} - Updated conversation
+ */
+async function setConversationStatus(conversationId, status) {
+  const { data, error } = await supabase
+    .from('dm_conversations')
+    .update({ status })
+    .eq('id', conversationId)
+    .select()
+    .single();
+  
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Store a direct message
+ * A stored reply from the recipient of a pending request accepts the conversation.
+ * @param {Object} conversation - Conversation row
+ * @param {string} messageId - Message ID
+ * @param {string} senderId - Sender user ID
+ * @param {string} recipientId - Recipient user ID
+ * @param {string} content - Message content
+ * @returns {Promise<Object>} - { message, conversation } with the stored message row and the conversation as updated
+ */
+async function storeDirectMessage(conversation, messageId, senderId, recipientId, content) {
+  const createdAt = new Date().toISOString();
+  
+  const { data, error } = await supabase
+    .from('dm_messages')
+    .insert({
+      id: messageId,
+      conversation_id: conversation.id,
+      sender_id: senderId,
+      recipient_id: recipientId,
+      content,
+      created_at: createdAt
+    })
+    .select()
+    .single();
+  
+  if (error) throw error;
+  
+  const accepts = conversation.status === 'pending' && conversation.user2_id === senderId;
+  const changes = accepts ? { last_message_at: createdAt, status: 'accepted' } : { last_message_at: createdAt };
+  
+  const { error: updateError } = await supabase
+    .from('dm_conversations')
+    .update(changes)
+    .eq('id', conversation.id);
+  
+  if (updateError) throw updateError;
+  
+  return { message: data, conversation: { ...conversation, ...changes } };
+}
+
+/**
+ * Mark direct messages as delivered to their recipient
+ * @param {string[]} messageIds - Message IDs
+ */
+async function markDelivered(messageIds) {
+  if (messageIds.length === 0) return;
+  
+  const { error } = await supabase
+    .from('dm_messages')
+    .update({ delivered_at: new Date().toISOString() })
+    .in('id', messageIds);
+  
+  if (error) throw error;
+}
+
+/**
+ * Get direct messages still queued for a user, oldest first
+ * @param {string} userId - Recipient user ID
+ * @returns {Promise<Object[]>} - Undelivered message rows with senderUsername and conversationStatus
+ */
+async function getUndelivered(userId) {
+  const { data, error } = await supabase
+    .from('dm_messages')
+    .select('id, conversation_id, sender_id, content, created_at, sender:users!sender_id(username), dm_conversations(status)')
+    .eq('recipient_id', userId)
+    .is('delivered_at', null)
+    .order('created_at', { ascending: true })
+    .limit(MAX_PAGE_SIZE);
+  
+  if (error) throw error;
+  
+  return data.map(({ sender, dm_conversations: conversation, ...message }) => ({
+    ...message,
+    senderUsername: sender ? sender.username : 'Unknown User',
+    conversationStatus: conversation ? conversation.status : null
+  }));
+}
+
+/**
+ * List a user's conversations, most recently active first
+ * Declined requests are hidden from the user who declined them.
+ * @param {string} userId - User ID
+ * @returns {Promise<Object[]>} - Conversations with the other user's username
+ */
+async function listConversations(userId) {
+  const { data: conversations, error } = await supabase
+    .from('dm_conversations')
+    .select('id, user1_id, user2_id, status, created_at, last_message_at')
+    .or(`user1_id.eq.${userId},user2_id.eq.${userId}`)
+    .order('last_message_at', { ascending: false, nullsFirst: false });
+  
+  if (error) throw error;
+  
+  const visible = conversations.filter(conversation =>
+    !(conversation.status === 'declined' && conversation.user2_id === userId)
+  );
+  const otherIds = visible.map(conversation => otherParticipant(conversation, userId));
+  
+  const { data: users } = await supabase
+    .from('users')
+    .select('id, username')
+    .in('id', otherIds);
+  
+  const usernames = new Map((users || []).map(user => [user.id, user.username]));
+  
+  return visible.map(conversation => {
+    const otherId = otherParticipant(conversation, userId);
+    
+    return {
+      id: conversation.id,
+      userId: otherId,
+      username: usernames.get(otherId) || 'Unknown User',
+      status: conversation.status,
+      // A pending conversation started by the other user awaits this user's answer
+      isRequest: conversation.status === 'pending' && conversation.user2_id === userId,
+      createdAt: conversation.created_at,
+      lastMessageAt: conversation.last_message_at
+    };
+  });
+}
+
+/**
+ * Page through a conversation's messages, newest first
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} [options] - Paging options
+ * @param {string} [options.before] - Only messages created before this ISO timestamp
+ * @param {number} [options.limit] - Page size
+ * @returns {Promise<Object>} - { messages, nextBefore } where nextBefore is null on the last page
+ */
+async function getMessages(conversationId, { before, limit } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  
+  let query = supabase
+    .from('dm_messages')
+    .select('id, sender_id, content, created_at, delivered_at')
+    .eq('conversation_id', conversationId)
+    .order('created_at', { ascending: false })
+    .limit(pageSize);
+  
+  if (before) {
+    query = query.lt('created_at', before);
+  }
+  
+  const { data: messages, error } = await query;
+  if (error) throw error;
+  
+  return {
+    messages,
+    nextBefore: messages.length === pageSize ? messages[messages.length - 1].created_at : null
+  };
+}
+
+/**
+ * Get a direct message the user received
+ * @param {string} messageId - Message ID
+ * @param {string} userId - Recipient user ID
+ * @returns {Promise<Object|null>} - Message row or null if not found or not received by the user
+ */
+async function getReceivedMessage(messageId, userId) {
+  const { data, error } = await supabase
+    .from('dm_messages')
+    .select('id, conversation_id, sender_id, recipient_id, content, created_at')
+    .eq('id', messageId)
+    .maybeSingle();
+  
+  if (error) throw error;
+  if (!data || data.recipient_id !== userId) return null;
+  
+  return data;
+}
+
+/**
+ * Get the other participant of a conversation
+ * @param {Object} conversation - Conversation row
+ * @param {string} userId - One participant
+ * @returns {string} - The other participant's user ID
+ */
+function otherParticipant(conversation, userId) {
+  return conversation.user1_id === userId ? conversation.user2_id : conversation.user1_id;
+}
+
+module.exports = {
+  findRegisteredUser,
+  getConversation,
+  openConversation,
+  respondToRequest,
+  storeDirectMessage,
+  markDelivered,
+  getUndelivered,
+  listConversations,
+  getMessages,
+  getReceivedMessage
+};
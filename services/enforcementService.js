@@ -0,0 +1,153 @@
+const supabase = require('../config/db');
+
+// Enforcement states a user can be under
+const ENFORCEMENT_TYPES = ['queue_cooldown', 'suspension', 'mute', 'ban'];
+
+// Which enforcement states stop each activity
+const BLOCKED_BY = {
+  connect: ['ban'],
+  match: ['ban', 'queue_cooldown', 'suspension'],
+  send: ['ban', 'mute']
+};
+
+/**
+ * Enforcement service
+ * Timed restrictions on a user, stored in user_enforcements with one row per
+ * user and type:
+ * - queue_cooldown: the user cannot join matchmaking, e.g. after a kick
+ * - suspension: the user cannot join matchmaking until reports against them are reviewed
+ * - mute: the user can read but not send messages
+ * - ban: the user cannot use the service; a ban without an expiry is permanent
+ *
+ * Callers check an activity with checkEnforcement and pass the remaining
+ * duration on to the client.
+ */
+
+/**
+ * Describe a stored enforcement for callers and clients
+ * @param {Object} row - user_enforcements row
+ * @returns {Object} - { type, reason, expiresAt, remainingMs } (expiresAt and remainingMs null when permanent)
+ */
+function describe(row) {
+  const expiresAt = row.expires_at ? new Date(row.expires_at) : null;
+  
+  return {
+    type: row.type,
+    reason: row.reason,
+    expiresAt,
+    remainingMs: expiresAt ? Math.max(expiresAt.getTime() - Date.now(), 0) : null
+  };
+}
+
+/**
+ * Check if a stored enforcement is still in force
+ * @param {Object} row - user_enforcements row
+ * @returns {boolean} - True until it expires
+ */
+function isActive(row) {
+  return !row.expires_at || new Date(row.expires_at) > new Date();
+}
+
+/**
+ * Put a user under an enforcement state
+ * Applying a state the user is already under keeps whichever lasts longer.
+ * @param {string} userId - User ID
+ * @param {string} type - 'queue_cooldown', 'suspension', 'mute' or 'ban'
+ * @param {Object} options - Enforcement options
+ * @param {string} options.reason - Why the state was applied
+ * @param {Date} [options.expiresAt] - When it lapses (null for never, bans and suspensions only)
+ * @returns {Promise<Object>} - Enforcement { type, reason, expiresAt, remainingMs }
+ */
+async function applyEnforcement(userId, type, { reason, expiresAt = null }) {
+  const { data: existing, error: lookupError } = await supabase
+    .from('user_enforcements')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('type', type)
+    .maybeSingle();
+  
+  if (lookupError) throw lookupError;
+  
+  if (existing && isActive(existing)) {
+    const existingExpiry = existing.expires_at ? new Date(existing.expires_at) : null;
+    if (!existingExpiry || (expiresAt && existingExpiry >= expiresAt)) {
+      return describe(existing);
+    }
+  }
+  
+  const { data, error } = await supabase
+    .from('user_enforcements')
+    .upsert({
+      user_id: userId,
+      type,
+      reason,
+      expires_at: expiresAt ? expiresAt.toISOString() : null,
+      created_at: new Date().toISOString()
+    }, { onConflict: 'user_id,type' })
+    .select()
+    .single();
+  
+  if (error) throw error;
+  return describe(data);
+}
+
+/**
+ * Lift an enforcement state early
+ * @param {string} userId - User ID
+ * @param {string} type - 'queue_cooldown', 'suspension', 'mute' or 'ban'
+ * @returns {Promise<boolean>} - True if the user was under it
+ */
+async function liftEnforcement(userId, type) {
+  const { data, error } = await supabase
+    .from('user_enforcements')
+    .delete()
+    .eq('user_id', userId)
+    .eq('type', type)
+    .select('expires_at');
+  
+  if (error) throw error;
+  return data.some(isActive);
+}
+
+/**
+ * List the enforcement states a user is under
+ * @param {string} userId - User ID
+ * @returns {Promise<Object[]>} - Active enforcements { type, reason, expiresAt, remainingMs }
+ */
+async function getEnforcements(userId) {
+  const { data, error } = await supabase
+    .from('user_enforcements')
+    .select('*')
+    .eq('user_id', userId);
+  
+  if (error) throw error;
+  return data.filter(isActive).map(describe);
+}
+
+/**
+ * Find the enforcement stopping a user from an activity
+ * A ban wins over other states; otherwise the longest lasting state is returned,
+ * counting states without an expiry as longest.
+ * @param {string} userId - User ID
+ * @param {string} activity - 'connect', 'match' or 'send'
+ * @returns {Promise<Object|null>} - Enforcement { type, reason, expiresAt, remainingMs }, or null if allowed
+ */
+async function checkEnforcement(userId, activity) {
+  const blocking = (await getEnforcements(userId))
+    .filter(enforcement => BLOCKED_BY[activity].includes(enforcement.type));
+  if (blocking.length === 0) return null;
+  
+  const ban = blocking.find(enforcement => enforcement.type === 'ban');
+  if (ban) return ban;
+  
+  const remaining = enforcement => enforcement.remainingMs === null ? Infinity : enforcement.remainingMs;
+  return blocking.reduce((longest, current) => remaining(current) > remaining(longest) ? current : longest);
+}
+
+module.exports = {
+  ENFORCEMENT_TYPES,
+  applyEnforcement,
+  liftEnforcement,
+  getEnforcements,
+  checkEnforcement
+};
@@ -0,0 +1,40 @@
+const path = require('path');
+const env = require('../../config/env');
+const LocalImageStorage = require('./localStorage');
+
+/**
+ * Image storage
+ * Holds images shared in chat. Uploads are kept private until they pass
+ * moderation and are published. Every backend implements the same async
+ * interface (see localStorage.js):
+ *
+ * - save(key, data) - store an uploaded image privately
+ * - read(key) - read an uploaded image back for moderation
+ * - publish(key, name) - make an uploaded image public and return its URL
+ * - remove(key) - delete an uploaded image
+ * - removeExpired(maxAgeMs) - delete uploads older than maxAgeMs that were never published
+ * - createStaticMiddleware() - Express middleware serving published images, or null
+ *
+ * Selected with IMAGE_STORAGE: 'local' (default, files on disk).
+ */
+function createImageStorage() {
+  switch (env.IMAGE_STORAGE) {
+    case 'local':
+      return new LocalImageStorage({
+        directory: path.resolve(env.IMAGE_UPLOAD_DIR),
+        publicPath: env.IMAGE_PUBLIC_PATH
+      });
+    default:
+      throw new Error(`Unknown IMAGE_STORAGE: ${env.IMAGE_STORAGE}`);
+  }
+}
+
+const imageStorage = createImageStorage();
+
+// Periodically delete uploads that were never sent
+setInterval(() => {
+  imageStorage.removeExpired(env.IMAGE_PENDING_TTL_MS)
+    .catch(error => console.error('Error removing expired image uploads:', error));
+}, env.IMAGE_PENDING_TTL_MS).unref();
+
+module.exports = imageStorage;
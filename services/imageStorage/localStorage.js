@@ -0,0 +1,133 @@
+const fs = require('fs/promises');
+const path = require('path');
+const express = require('express');
+
+/**
+ * Local disk image storage
+ * Uploads are written under `pending/` and moved to `public/` when published;
+ * only `public/` is served. Suitable for a single server instance.
+ */
+class LocalImageStorage {
+  /**
+   * @param {Object} options - Storage options
+   * @param {string} options.directory - Absolute storage directory
+   * @param {string} options.publicPath - URL path published images are served from
+   */
+  constructor({ directory, publicPath }) {
+    this.pendingDir = path.join(directory, 'pending');
+    this.publicDir = path.join(directory, 'public');
+    this.publicPath = publicPath.replace(/\/+$/, '');
+  }
+  
+  /**
+   * Store an uploaded image privately
+   * @param {string} key - Storage key
+   * @param {Buffer} data - Image bytes
+   */
+  async save(key, data) {
+    const file = resolveWithin(this.pendingDir, key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, data);
+  }
+  
+  /**
+   * Read an uploaded image
+   * @param {string} key - Storage key
+   * @returns {Promise<Buffer|null>} - Image bytes, or null if there is no such upload
+   */
+  async read(key) {
+    try {
+      return await fs.readFile(resolveWithin(this.pendingDir, key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+  
+  /**
+   * Make an uploaded image public
+   * @param {string} key - Storage key
+   * @param {string} name - Public file name
+   * @returns {Promise<string>} - URL of the published image
+   */
+  async publish(key, name) {
+    await fs.mkdir(this.publicDir, { recursive: true });
+    await fs.rename(resolveWithin(this.pendingDir, key), resolveWithin(this.publicDir, name));
+    return `${this.publicPath}/${name}`;
+  }
+  
+  /**
+   * Delete an uploaded image
+   * @param {string} key - Storage key
+   */
+  async remove(key) {
+    await fs.rm(resolveWithin(this.pendingDir, key), { force: true });
+  }
+  
+  /**
+   * Delete uploads that were never published
+   * Directories left empty are removed too.
+   * @param {number} maxAgeMs - Age after which an upload is deleted
+   */
+  async removeExpired(maxAgeMs) {
+    await removeOlderThan(this.pendingDir, Date.now() - maxAgeMs);
+  }
+  
+  /**
+   * Express middleware serving published images
+   * @returns {Function} - Static file middleware
+   */
+  createStaticMiddleware() {
+    return express.static(this.publicDir, { index: false });
+  }
+}
+
+/**
+ * Delete files last written before a cutoff, then any directories left empty
+ * @param {string} directory - Directory to clean
+ * @param {number} cutoff - Timestamp before which files are deleted
+ * @returns {Promise<boolean>} - True if the directory is now empty
+ */
+async function removeOlderThan(directory, cutoff) {
+  let entries;
+  try {
+    entries = await fs.readdir(directory, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return true;
+    throw error;
+  }
+  
+  let remaining = entries.length;
+  
+  for (const entry of entries) {
+    const entryPath = path.join(directory, entry.name);
+    
+    if (entry.isDirectory()) {
+      if (await removeOlderThan(entryPath, cutoff)) {
+        await fs.rmdir(entryPath).catch(() => {});
+        remaining--;
+      }
+    } else if ((await fs.stat(entryPath)).mtimeMs < cutoff) {
+      await fs.rm(entryPath, { force: true });
+      remaining--;
+    }
+  }
+  
+  return remaining === 0;
+}
+
+/**
+ * Resolve a key inside a directory, rejecting keys that escape it
+ * @param {string} directory - Base directory
+ * @param {string} key - Relative key
+ * @returns {string} - Absolute file path
+ */
+function resolveWithin(directory, key) {
+  const file = path.resolve(directory, key);
+  if (!file.startsWith(directory + path.sep)) {
+    throw new Error('Invalid image key');
+  }
+  return file;
+}
+
+module.exports = LocalImageStorage;
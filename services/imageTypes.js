@@ -0,0 +1,41 @@
+/**
+ * Image types accepted for chat image sharing
+ * Each type lists its file extension and the leading bytes (file signature)
+ * its content must start with; null matches any byte.
+ */
+const IMAGE_TYPES = {
+  'image/png': { extension: 'png', signature: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  'image/jpeg': { extension: 'jpg', signature: [0xff, 0xd8, 0xff] },
+  'image/gif': { extension: 'gif', signature: [0x47, 0x49, 0x46, 0x38] },
+  'image/webp': { extension: 'webp', signature: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50] }
+};
+
+/**
+ * Check whether image content matches its declared type
+ * @param {Buffer} data - Image bytes
+ * @param {string} contentType - Declared MIME type
+ * @returns {boolean} - True if the type is accepted and the content starts with its signature
+ */
+function matchesType(data, contentType) {
+  const type = IMAGE_TYPES[contentType];
+  if (!type || data.length < type.signature.length) return false;
+  
+  return type.signature.every((byte, index) => byte === null || data[index] === byte);
+}
+
+/**
+ * Look up the MIME type for an image file name
+ * @param {string} fileName - File name or storage key
+ * @returns {string|null} - MIME type, or null if the extension is not accepted
+ */
+function contentTypeFor(fileName) {
+  const extension = fileName.split('.').pop().toLowerCase();
+  const entry = Object.entries(IMAGE_TYPES).find(([, type]) => type.extension === extension);
+  return entry ? entry[0] : null;
+}
+
+module.exports = {
+  IMAGE_TYPES,
+  matchesType,
+  contentTypeFor
+};
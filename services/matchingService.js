@@ -1,54 +1,150 @@
-const express = require('express');
-const rateLimit = require('express-rate-limit');
+const EventEmitter = require('events');
 const { v4: uuidv4 } = require('uuid');
 const supabase = require('../config/db');
-const auth = require('../middleware/auth');
-const moderationService = require('../services/moderationService');
 const env = require('../config/env');
+const stateStore = require('./stateStore');
+const blockService = require('./blockService');
 
-const router = express.Router();
+// Limits on interest tags a user can declare
+const MAX_INTERESTS = 10;
+const MAX_INTEREST_LENGTH = 32;
 
-// Rate limiter for matching requests
-const matchLimiter = rateLimit({
-  windowMs: 60 * 1000, // 1 minute
-  max: 10, // 10 requests per minute
-  message: 'Too many match requests, please try again later.'
-});
+// How a language or region preference is applied when matching
+const CONSTRAINT_MODES = ['hard', 'soft'];
+
+// How many times to re-pick a candidate that another request claimed first
+const MAX_CLAIM_ATTEMPTS = 3;
+
+// Most chat events held for a reconnecting user
+const MAX_PENDING_MESSAGES = 50;
+
+// Kinds of session a user can ask for
+const SESSION_TYPES = ['pair', 'group'];
+
+// How long a user's last matching preferences are kept for re-queueing
+const MATCH_PREFERENCES_TTL_MS = 24 * 60 * 60 * 1000;
 
 /**
  * User matching service
- * Handles the logic for matching users in chat sessions
+ * Single matching engine shared by the REST API and Socket.io.
+ *
+ * Users may declare interest tags. The engine prefers the waiting user with the
+ * most overlapping tags and widens to random matching once a user has waited
+ * longer than the interest match timeout.
+ *
+ * Users may also declare a language and region. Each is applied per request as
+ * either a hard constraint (only match the same value) or a soft one (prefer
+ * the same value). Language is ranked ahead of interests, region after them.
+ *
+ * Recent partners are remembered for a TTL. Users who skipped each other are
+ * never re-paired within that window; other recent partners are only chosen
+ * when nobody else is available, so tiny queues still match.
+ *
+ * Users who blocked each other are never placed in the same session, one to
+ * one or in a group room.
+ *
+ * All queue and session state lives in the shared state store, so several
+ * server instances can match users from one queue. Pairs are claimed from the
+ * queue atomically; retry timers are local to the instance that queued a user.
+ *
+ * A user who drops out of a session is given a reconnect grace period. Each
+ * user receives a resume token when matched and can rejoin the session with it
+ * before the grace period ends; otherwise the session is abandoned. Grace
+ * deadlines are kept in the store: the instance the user dropped from expires
+ * them on time, and every instance sweeps up any it missed, such as those of
+ * an instance that stopped.
+ *
+ * Users may ask for a group room instead of a one-to-one chat. Group rooms
+ * open once enough group seekers are waiting and take new members up to the
+ * size limit. A member leaving a room does not end it for everyone else; the
+ * room closes once fewer than two members remain.
+ *
+ * Pair sessions can add voice/video. The engine keeps each user's camera and
+ * microphone state with the session; signaling itself is relayed by the socket
+ * layer and is torn down when the session ends.
+ *
+ * Emits:
+ * - 'matched' ({ sessionId, type, members, sharedInterests, resumeTokens }) when a session starts
+ * - 'member_joined' ({ sessionId, userId, members, resumeToken }) when a user joins an open group room
+ * - 'member_left' ({ sessionId, userId, members, reason }) when a user leaves a group room that stays open
+ * - 'reconnecting' ({ sessionId, type, userId, members, deadline }) when a user drops out of a session
+ * - 'resumed' ({ sessionId, userId, members }) when a user rejoins their session
+ * - 'session_ended' ({ sessionId, type, members, initiatorId, reason }) when a session ends
  */
-class MatchingService {
-  constructor() {
-    // Queue of users waiting to be matched
-    this.waitingQueue = [];
+class MatchingService extends EventEmitter {
+  /**
+   * @param {Object} store - Shared state store
+   * @param {Object} [options] - Matching options
+   * @param {number} [options.interestMatchTimeoutMs] - Wait before widening to random matching
+   * @param {number} [options.recentPartnerTtlMs] - How long recent partners and skips are remembered
+   * @param {number} [options.reconnectGraceMs] - How long a dropped user can resume their session
+   * @param {number} [options.groupMinSize] - Waiting users needed to open a group room
+   * @param {number} [options.groupMaxSize] - Most members a group room holds
+   */
+  constructor(store, options = {}) {
+    super();
+    
+    this.store = store;
+    
+    // How long a user with interests waits before widening to random matching
+    this.interestMatchTimeoutMs = options.interestMatchTimeoutMs || 10000;
+    
+    // How long recent partners and skips are remembered
+    this.recentPartnerTtlMs = options.recentPartnerTtlMs || 10 * 60 * 1000;
     
-    // Map of active sessions
-    this.activeSessions = new Map(); // sessionId -> { user1Id, user2Id, startTime }
+    // How long a dropped user can resume their session
+    this.reconnectGraceMs = options.reconnectGraceMs || 30000;
     
-    // Map of user to session
-    this.userSessions = new Map(); // userId -> sessionId
+    // Group room size limits
+    this.groupMinSize = Math.max(options.groupMinSize || 3, 2);
+    this.groupMaxSize = Math.max(options.groupMaxSize || 6, this.groupMinSize);
+    
+    // Timers that retry matching for users queued on this instance
+    this.retryTimers = new Map(); // userId -> { timer, dueAt }
+    
+    // Periodically drop expired partner history
+    setInterval(() => {
+      this.store.pruneExpired().catch(error => console.error('Error pruning partner history:', error));
+    }, this.recentPartnerTtlMs).unref();
+    
+    // Periodically expire grace periods no instance has timed out
+    setInterval(() => {
+      this.expireLapsedReconnects().catch(error => console.error('Error sweeping reconnect grace periods:', error));
+    }, this.reconnectGraceMs).unref();
   }
   
   /**
    * Add a user to the waiting queue
    * @param {string} userId - User ID to add to queue
-   * @returns {boolean} - True if user was added to queue
+   * @param {Object} [preferences] - Matching preferences
+   * @param {string[]} [preferences.interests] - Interest tags
+   * @param {string} [preferences.language] - Preferred language code
+   * @param {string} [preferences.region] - Region code
+   * @param {string} [preferences.languageMatch] - 'hard' or 'soft' (default 'soft')
+   * @param {string} [preferences.regionMatch] - 'hard' or 'soft' (default 'soft')
+   * @param {string} [preferences.mode] - 'pair' or 'group' (default 'pair')
+   * @returns {Promise<boolean>} - True if user was added to queue
    */
-  addToWaitingQueue(userId) {
+  async addToWaitingQueue(userId, preferences = {}) {
     // Check if user is already in a session
-    if (this.userSessions.has(userId)) {
+    if (await this.store.getUserSessionId(userId)) {
       return false;
     }
     
-    // Check if user is already in queue
-    if (this.waitingQueue.includes(userId)) {
+    // Add user to queue unless already there
+    const entry = createQueueEntry(userId, preferences);
+    if (!(await this.store.addToQueue(entry))) {
       return false;
     }
     
-    // Add user to queue
-    this.waitingQueue.push(userId);
+    // Retry with random matching once the interest wait runs out
+    if (entry.interests.length > 0) {
+      this.scheduleRetry(userId, Date.now() + this.interestMatchTimeoutMs);
+    }
+    
+    // Retry once a skip that is keeping the user apart from someone waiting expires
+    await this.scheduleSkipExpiryRetry(userId);
+    
     return true;
   }
   
@@ -56,104 +152,657 @@ class MatchingService {
    * Remove a user from the waiting queue
    * @param {string} userId - User ID to remove from queue
    */
-  removeFromWaitingQueue(userId) {
-    this.waitingQueue = this.waitingQueue.filter(id => id !== userId);
+  async removeFromWaitingQueue(userId) {
+    this.clearRetry(userId);
+    await this.store.removeFromQueue(userId);
+  }
+  
+  /**
+   * Schedule a matching retry for a waiting user
+   * Keeps whichever retry is due first.
+   * @param {string} userId - Waiting user ID
+   * @param {number} dueAt - Timestamp to retry at
+   */
+  scheduleRetry(userId, dueAt) {
+    const existing = this.retryTimers.get(userId);
+    if (existing && existing.dueAt <= dueAt) return;
+    
+    if (existing) clearTimeout(existing.timer);
+    
+    const timer = setTimeout(() => {
+      this.retryTimers.delete(userId);
+      this.retryMatch(userId).catch(error => console.error('Error retrying match:', error));
+    }, Math.max(dueAt - Date.now(), 0));
+    timer.unref();
+    this.retryTimers.set(userId, { timer, dueAt });
+  }
+  
+  /**
+   * Cancel a pending matching retry
+   * @param {string} userId - User ID
+   */
+  clearRetry(userId) {
+    const retry = this.retryTimers.get(userId);
+    if (retry) {
+      clearTimeout(retry.timer);
+      this.retryTimers.delete(userId);
+    }
+  }
+  
+  /**
+   * Schedule a retry for when the earliest skip against a waiting user expires
+   * @param {string} userId - Waiting user ID
+   */
+  async scheduleSkipExpiryRetry(userId) {
+    const history = await this.store.getPartnerHistory(userId);
+    let nextExpiry = null;
+    
+    for (const [partnerId, record] of history) {
+      if (
+        record.skipped &&
+        (nextExpiry === null || record.expiresAt < nextExpiry) &&
+        (await this.isWaiting(partnerId))
+      ) {
+        nextExpiry = record.expiresAt;
+      }
+    }
+    
+    if (nextExpiry !== null) {
+      this.scheduleRetry(userId, nextExpiry);
+    }
+  }
+  
+  /**
+   * Check if a user is waiting in the queue
+   * @param {string} userId - User ID to check
+   * @returns {Promise<boolean>} - True if user is in the queue
+   */
+  async isWaiting(userId) {
+    return !!(await this.store.getQueueEntry(userId));
+  }
+  
+  /**
+   * Get a user's position in the waiting queue
+   * @param {string} userId - User ID to look up
+   * @returns {Promise<number|null>} - 1-based queue position or null if not waiting
+   */
+  async getQueuePosition(userId) {
+    const queue = await this.store.getQueue();
+    const index = queue.findIndex(entry => entry.userId === userId);
+    return index !== -1 ? index + 1 : null;
   }
   
   /**
-   * Find a match for a user
+   * Find a match for a user, queueing them if nobody is available
    * @param {string} userId - User ID to find match for
-   * @returns {Object|null} - Match result or null if no match found
+   * @param {Object} [preferences] - Matching preferences (see addToWaitingQueue)
+   * @returns {Promise<Object|null>} - Match result or null if no match found
    */
-  findMatch(userId) {
+  async findMatch(userId, preferences = {}) {
     // Check if user is already in a session
-    if (this.userSessions.has(userId)) {
+    if (await this.store.getUserSessionId(userId)) {
       return null;
     }
     
-    // Check if there are other users in the queue
-    if (this.waitingQueue.length === 0) {
-      // Add user to queue
-      this.addToWaitingQueue(userId);
+    await this.removeFromWaitingQueue(userId);
+    
+    // Remember the preferences so a skip re-queues the user with them
+    await this.store.setMatchPreferences(userId, preferences, MATCH_PREFERENCES_TTL_MS);
+    
+    // Group seekers take a free seat in an open room before waiting for a new one
+    if (preferences.mode === 'group') {
+      const joined = await this.joinOpenRoom(userId);
+      if (joined) return joined;
+    }
+    
+    // Re-queue with the latest preferences, then try to pair from the queue.
+    // Queueing first means two users arriving at once still find each other.
+    if (!(await this.addToWaitingQueue(userId, preferences))) {
       return null;
     }
     
-    // Find first user in queue that isn't the current user
-    const matchIndex = this.waitingQueue.findIndex(id => id !== userId);
+    return this.retryMatch(userId);
+  }
+  
+  /**
+   * Get the preferences a user last asked to be matched with
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Matching preferences, empty if none are remembered
+   */
+  async getMatchPreferences(userId) {
+    return (await this.store.getMatchPreferences(userId)) || {};
+  }
+  
+  /**
+   * Try to match a user who is already waiting in the queue
+   * @param {string} userId - Waiting user ID
+   * @returns {Promise<Object|null>} - Match result or null if no match found
+   */
+  async retryMatch(userId) {
+    for (let attempt = 0; attempt < MAX_CLAIM_ATTEMPTS; attempt++) {
+      // Someone else may have matched this user already
+      const seeker = await this.store.getQueueEntry(userId);
+      if (!seeker) return null;
+      
+      if (seeker.mode === 'group') {
+        const memberIds = await this.pickGroupMembers(seeker);
+        if (!memberIds) return null;
+        
+        // Claim the whole room atomically; on a lost race pick again
+        if (await this.store.claimQueueEntries(memberIds)) {
+          return this.startGroupRoom(memberIds);
+        }
+        continue;
+      }
+      
+      const match = await this.findBestCandidate(seeker);
+      if (!match) {
+        await this.scheduleSkipExpiryRetry(userId);
+        return null;
+      }
+      
+      // Claim both users atomically; on a lost race pick again
+      if (await this.store.claimQueueEntries([userId, match.entry.userId])) {
+        return this.pairUsers(seeker, match);
+      }
+    }
     
-    if (matchIndex === -1) {
-      // No match found, add user to queue
-      this.addToWaitingQueue(userId);
-      return null;
+    return null;
+  }
+  
+  /**
+   * Pick the best waiting partner for a user
+   * Skips candidates that break either user's hard constraints, that blocked
+   * (or were blocked by) the user, or that skipped (or were skipped by) the
+   * user recently, then ranks by not being a recent
+   * partner, same language, most shared interests, same region and longest
+   * wait. Users without shared interests are only paired once both have
+   * widened to random matching.
+   * @param {Object} seeker - Queue entry of the user looking for a match
+   * @returns {Promise<Object|null>} - Best candidate with shared interests, or null
+   */
+  async findBestCandidate(seeker) {
+    const now = Date.now();
+    const [queue, history, blocked] = await Promise.all([
+      this.store.getQueue(),
+      this.store.getPartnerHistory(seeker.userId),
+      blockService.getBlockedUserIds(seeker.userId)
+    ]);
+    let best = null;
+    
+    for (const candidate of queue) {
+      if (candidate.userId === seeker.userId || candidate.mode !== seeker.mode) continue;
+      if (blocked.has(candidate.userId)) continue;
+      
+      const recent = history.get(candidate.userId);
+      if (recent && recent.skipped) continue;
+      
+      if (!satisfiesConstraints(seeker, candidate) || !satisfiesConstraints(candidate, seeker)) {
+        continue;
+      }
+      
+      const sharedInterests = seeker.interests.filter(tag => candidate.interests.includes(tag));
+      
+      if (
+        sharedInterests.length === 0 &&
+        !(this.isWidened(seeker, now) && this.isWidened(candidate, now))
+      ) {
+        continue;
+      }
+      
+      const rank = [
+        recent ? 0 : 1,
+        isSameValue(seeker.language, candidate.language) ? 1 : 0,
+        sharedInterests.length,
+        isSameValue(seeker.region, candidate.region) ? 1 : 0
+      ];
+      
+      // Queue is in arrival order, so ties go to the longest waiting user
+      if (!best || compareRanks(rank, best.rank) > 0) {
+        best = { entry: candidate, sharedInterests, rank };
+      }
     }
     
-    // Get matched user ID
-    const matchedUserId = this.waitingQueue[matchIndex];
+    return best;
+  }
+  
+  /**
+   * Check if a queue entry accepts random matching
+   * @param {Object} entry - Queue entry
+   * @param {number} now - Current timestamp
+   * @returns {boolean} - True if the entry has no interests or has waited long enough
+   */
+  isWidened(entry, now) {
+    return entry.interests.length === 0 || now - entry.joinedAt >= this.interestMatchTimeoutMs;
+  }
+  
+  /**
+   * Start a session for a pair already claimed from the queue
+   * @param {Object} seeker - Queue entry of the user looking for a match
+   * @param {Object} match - Candidate returned by findBestCandidate
+   * @returns {Promise<Object>} - Match result
+   */
+  async pairUsers(seeker, match) {
+    const matchedUserId = match.entry.userId;
+    
+    this.clearRetry(seeker.userId);
+    this.clearRetry(matchedUserId);
     
-    // Remove matched user from queue
-    this.waitingQueue.splice(matchIndex, 1);
+    const sessionId = await this.createSession([seeker.userId, matchedUserId], {
+      type: 'pair',
+      sharedInterests: match.sharedInterests
+    });
     
-    // Create new session
-    const sessionId = uuidv4();
-    const session = {
-      user1Id: userId,
-      user2Id: matchedUserId,
-      startTime: new Date()
+    // Return match result
+    return {
+      sessionId,
+      type: 'pair',
+      partnerId: matchedUserId,
+      sharedInterests: match.sharedInterests
     };
+  }
+  
+  /**
+   * Pick waiting group seekers to open a new room with
+   * Takes the longest waiting group seekers, up to the room size limit,
+   * passing over anyone blocked by or blocking a member already picked.
+   * @param {Object} seeker - Queue entry of the user looking for a room
+   * @returns {Promise<string[]|null>} - Member IDs, or null if too few are waiting
+   */
+  async pickGroupMembers(seeker) {
+    const queue = await this.store.getQueue();
+    const candidates = queue.filter(entry => entry.mode === 'group' && entry.userId !== seeker.userId);
+    if (candidates.length + 1 < this.groupMinSize) return null;
     
-    // Store session
-    this.activeSessions.set(sessionId, session);
-    this.userSessions.set(userId, sessionId);
-    this.userSessions.set(matchedUserId, sessionId);
+    // Load every candidate's blocks in one query
+    const blockedBy = await blockService.getBlockedUserIdsFor([
+      seeker.userId,
+      ...candidates.map(entry => entry.userId)
+    ]);
+    const blocked = new Set(blockedBy.get(seeker.userId));
+    const memberIds = [seeker.userId];
+    
+    for (const entry of candidates) {
+      if (memberIds.length >= this.groupMaxSize) break;
+      if (blocked.has(entry.userId)) continue;
+      
+      memberIds.push(entry.userId);
+      blockedBy.get(entry.userId).forEach(id => blocked.add(id));
+    }
+    
+    if (memberIds.length < this.groupMinSize) return null;
+    
+    return memberIds;
+  }
+  
+  /**
+   * Start a group room for users already claimed from the queue
+   * @param {string[]} memberIds - Member user IDs
+   * @returns {Promise<Object>} - Match result
+   */
+  async startGroupRoom(memberIds) {
+    memberIds.forEach(userId => this.clearRetry(userId));
+    
+    const sessionId = await this.createSession(memberIds, { type: 'group' });
     
-    // Return match result
     return {
       sessionId,
-      partnerId: matchedUserId
+      type: 'group',
+      members: memberIds,
+      sharedInterests: []
+    };
+  }
+  
+  /**
+   * Seat a user in an open group room that has space
+   * Rooms holding someone the user blocked, or was blocked by, are passed over.
+   * @param {string} userId - User ID to seat
+   * @returns {Promise<Object|null>} - Match result or null if every room is full
+   */
+  async joinOpenRoom(userId) {
+    const [roomIds, blocked] = await Promise.all([
+      this.store.getOpenRooms(),
+      blockService.getBlockedUserIds(userId)
+    ]);
+    
+    for (const sessionId of roomIds) {
+      const room = await this.store.getSession(sessionId);
+      if (!room || room.members.some(id => blocked.has(id))) continue;
+      
+      const resumeToken = uuidv4();
+      const session = await this.store.addSessionMember(sessionId, userId, this.groupMaxSize, resumeToken);
+      if (!session) continue;
+      
+      addChatSessionMember(sessionId, userId);
+      
+      this.emit('member_joined', { sessionId, userId, members: session.members, resumeToken });
+      
+      return {
+        sessionId,
+        type: 'group',
+        members: session.members,
+        sharedInterests: []
+      };
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Fill free seats in a group room from waiting group seekers
+   * @param {string} sessionId - Group room session ID
+   */
+  async fillGroupRoom(sessionId) {
+    const [queue, room] = await Promise.all([
+      this.store.getQueue(),
+      this.store.getSession(sessionId)
+    ]);
+    if (!room) return;
+    
+    const candidates = queue.filter(entry => entry.mode === 'group');
+    if (candidates.length === 0) return;
+    
+    // Load every candidate's blocks in one query
+    const blockedBy = await blockService.getBlockedUserIdsFor(candidates.map(entry => entry.userId));
+    let members = room.members;
+    
+    for (const entry of candidates) {
+      // Keep users who blocked each other apart
+      const blocked = blockedBy.get(entry.userId);
+      if (members.some(id => blocked.has(id))) continue;
+      
+      // Someone else may have seated or matched this user already
+      if (!(await this.store.claimQueueEntries([entry.userId]))) continue;
+      
+      const resumeToken = uuidv4();
+      const session = await this.store.addSessionMember(sessionId, entry.userId, this.groupMaxSize, resumeToken);
+      if (!session) {
+        // Room filled up or closed; put the user back where they were
+        await this.store.addToQueue(entry);
+        return;
+      }
+      
+      members = session.members;
+      this.clearRetry(entry.userId);
+      addChatSessionMember(sessionId, entry.userId);
+      
+      this.emit('member_joined', { sessionId, userId: entry.userId, members: session.members, resumeToken });
+      
+      if (session.members.length >= this.groupMaxSize) return;
+    }
+  }
+  
+  /**
+   * Create a session between matched users
+   * @param {string[]} members - Member user IDs
+   * @param {Object} [options] - Session options
+   * @param {string} [options.type] - 'pair' or 'group' (default 'pair')
+   * @param {string[]} [options.sharedInterests] - Interest tags the users have in common
+   * @returns {Promise<string>} - New session ID
+   */
+  async createSession(members, { type = 'pair', sharedInterests = [] } = {}) {
+    const sessionId = uuidv4();
+    const resumeTokens = Object.fromEntries(members.map(userId => [userId, uuidv4()]));
+    const session = {
+      type,
+      members,
+      sharedInterests,
+      resumeTokens,
+      reconnecting: {}, // userId -> grace deadline
+      media: {}, // userId -> { camera, microphone }
+      startTime: new Date().toISOString()
     };
+    
+    // Store session
+    await this.store.createSession(sessionId, session);
+    
+    // Store session in database
+    createChatSession(sessionId, type, members);
+    
+    this.emit('matched', { sessionId, type, members, sharedInterests, resumeTokens });
+    
+    return sessionId;
   }
   
   /**
    * Get a user's current session
    * @param {string} userId - User ID to get session for
-   * @returns {Object|null} - Session object or null if not in session
+   * @returns {Promise<Object|null>} - Session object or null if not in session
    */
-  getUserSession(userId) {
-    const sessionId = this.userSessions.get(userId);
+  async getUserSession(userId) {
+    const sessionId = await this.store.getUserSessionId(userId);
     if (!sessionId) return null;
     
-    const session = this.activeSessions.get(sessionId);
+    const session = await this.store.getSession(sessionId);
     if (!session) {
       // Clean up inconsistent state
-      this.userSessions.delete(userId);
+      await this.store.clearUserSession(userId);
+      return null;
+    }
+    
+    return describeSession(sessionId, session, userId);
+  }
+  
+  /**
+   * Start the reconnect grace period for a user who dropped out of a session
+   * The user is dropped from the session if they have not resumed when it expires.
+   * @param {string} userId - User ID that disconnected
+   * @returns {Promise<Object|null>} - { sessionId, members, deadline } or null if not in session
+   */
+  async markReconnecting(userId) {
+    const sessionId = await this.store.getUserSessionId(userId);
+    if (!sessionId) return null;
+    
+    const session = await this.store.getSession(sessionId);
+    if (!session) return null;
+    
+    // Everyone else gone means nobody is left to wait for
+    const others = session.members.filter(id => id !== userId);
+    if (others.every(id => session.reconnecting[id])) {
+      await this.endSession(sessionId, 'abandoned', userId);
+      return null;
+    }
+    
+    const deadline = Date.now() + this.reconnectGraceMs;
+    const updated = await this.store.updateSession(sessionId, current => {
+      if (!current.members.includes(userId)) return false;
+      current.reconnecting[userId] = deadline;
+    });
+    if (!updated) return null;
+    
+    await this.store.addReconnectDeadline(sessionId, userId, deadline);
+    
+    const timer = setTimeout(() => {
+      this.expireReconnect(sessionId, userId, deadline)
+        .catch(error => console.error('Error expiring reconnect grace period:', error));
+    }, this.reconnectGraceMs);
+    timer.unref();
+    
+    this.emit('reconnecting', { sessionId, type: updated.type, userId, members: updated.members, deadline });
+    
+    return { sessionId, members: updated.members, deadline };
+  }
+  
+  /**
+   * Drop a user from their session if they have still not resumed it
+   * Checks the shared store, so a resume handled by another instance counts.
+   * Each deadline is claimed from the store first, so only one instance acts on it.
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - User ID that disconnected
+   * @param {number} deadline - Grace deadline this check belongs to
+   */
+  async expireReconnect(sessionId, userId, deadline) {
+    if (!(await this.store.removeReconnectDeadline(sessionId, userId, deadline))) return;
+    
+    const session = await this.store.getSession(sessionId);
+    if (!session || session.reconnecting[userId] !== deadline) return;
+    
+    if (session.type === 'group') {
+      await this.leaveGroupRoom(sessionId, userId, 'abandoned');
+    } else {
+      await this.endSession(sessionId, 'abandoned', userId);
+    }
+  }
+  
+  /**
+   * Expire every lapsed reconnect grace period in the store
+   * Catches grace periods whose timer was lost, such as when the instance
+   * holding it stopped.
+   */
+  async expireLapsedReconnects() {
+    const lapsed = await this.store.getLapsedReconnects(Date.now());
+    
+    for (const { sessionId, userId, deadline } of lapsed) {
+      await this.expireReconnect(sessionId, userId, deadline);
+    }
+  }
+  
+  /**
+   * Rejoin a session during the reconnect grace period
+   * @param {string} userId - User ID resuming
+   * @param {string} sessionId - Session ID to resume
+   * @param {string} resumeToken - Token issued to the user when matched
+   * @returns {Promise<Object|null>} - Session details with held events, or null if it cannot be resumed
+   */
+  async resumeSession(userId, sessionId, resumeToken) {
+    let session = await this.store.getSession(sessionId);
+    if (!session || !session.resumeTokens[userId] || session.resumeTokens[userId] !== resumeToken) {
       return null;
     }
     
+    if (session.reconnecting[userId]) {
+      session = await this.store.updateSession(sessionId, current => {
+        if (current.resumeTokens[userId] !== resumeToken) return false;
+        delete current.reconnecting[userId];
+      });
+      if (!session) return null;
+      
+      this.emit('resumed', { sessionId, userId, members: session.members });
+    }
+    
+    const pendingEvents = await this.store.takePendingMessages(sessionId, userId);
+    
+    return {
+      ...describeSession(sessionId, session, userId),
+      pendingEvents
+    };
+  }
+  
+  /**
+   * Record a user's camera and microphone state in their pair session
+   * @param {string} userId - User ID
+   * @param {Object} state - Media state
+   * @param {boolean} [state.camera] - Whether the camera is on
+   * @param {boolean} [state.microphone] - Whether the microphone is on
+   * @returns {Promise<Object|null>} - { sessionId, partnerId, media } or null if not in a pair session
+   */
+  async setMediaState(userId, state) {
+    const sessionId = await this.store.getUserSessionId(userId);
+    if (!sessionId) return null;
+    
+    const session = await this.store.updateSession(sessionId, current => {
+      if (current.type !== 'pair' || !current.members.includes(userId)) return false;
+      
+      current.media = current.media || {};
+      current.media[userId] = {
+        camera: false,
+        microphone: false,
+        ...current.media[userId],
+        ...state
+      };
+    });
+    if (!session) return null;
+    
     return {
       sessionId,
-      partnerId: session.user1Id === userId ? session.user2Id : session.user1Id,
-      startTime: session.startTime
+      partnerId: session.members.find(id => id !== userId),
+      media: session.media[userId]
     };
   }
   
   /**
-   * End a chat session
+   * Record that a user wants to stay connected with their pair partner
+   * Requests only live as long as the session, so consent lapses when it ends.
+   * @param {string} userId - User ID asking to connect
+   * @returns {Promise<Object|null>} - { sessionId, partnerId, mutual, alreadyRequested } or null if not in a pair session
+   */
+  async requestConnect(userId) {
+    const sessionId = await this.store.getUserSessionId(userId);
+    if (!sessionId) return null;
+    
+    let partnerId = null;
+    let mutual = false;
+    let alreadyRequested = false;
+    
+    const session = await this.store.updateSession(sessionId, current => {
+      if (current.type !== 'pair' || !current.members.includes(userId)) return false;
+      
+      partnerId = current.members.find(id => id !== userId);
+      current.connectRequests = current.connectRequests || {};
+      
+      alreadyRequested = !!current.connectRequests[userId];
+      if (alreadyRequested) return false;
+      
+      current.connectRequests[userId] = Date.now();
+      
+      // Only the request that completes the pair sees it as mutual
+      mutual = !!current.connectRequests[partnerId];
+    });
+    
+    if (!session && !alreadyRequested) return null;
+    
+    return { sessionId, partnerId, mutual: !!session && mutual, alreadyRequested };
+  }
+  
+  /**
+   * Hold a chat event (a message, edit or deletion) for a user who is reconnecting
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - Recipient user ID
+   * @param {string} event - Socket event name to deliver on resume
+   * @param {Object} data - Event payload
+   */
+  async holdEvent(sessionId, userId, event, data) {
+    await this.store.pushPendingMessage(sessionId, userId, { event, data }, MAX_PENDING_MESSAGES);
+  }
+  
+  /**
+   * End a chat session for all of its members
+   * Listeners of 'session_ended' close any voice/video call the session had.
    * @param {string} sessionId - Session ID to end
    * @param {string} reason - Reason for ending session
-   * @returns {Object} - Session that was ended
+   * @param {string} [initiatorId] - User ID that ended the session
+   * @returns {Promise<Object|null>} - Session that was ended
    */
-  endSession(sessionId, reason = 'ended') {
-    const session = this.activeSessions.get(sessionId);
+  async endSession(sessionId, reason = 'ended', initiatorId = null) {
+    // Only the caller that removes the session goes on to end it
+    const session = await this.store.deleteSession(sessionId);
     if (!session) return null;
     
-    // Remove session from maps
-    this.activeSessions.delete(sessionId);
-    this.userSessions.delete(session.user1Id);
-    this.userSessions.delete(session.user2Id);
+    // Remember the pairing so they are not immediately re-matched
+    if (session.type !== 'group') {
+      await this.recordPartners(session.members[0], session.members[1], reason === 'skipped');
+    }
+    
+    // Update session in database; only a lapsed reconnect counts as abandoned
+    updateChatSession(sessionId, reason === 'abandoned' ? 'abandoned' : 'ended');
+    
+    // Everyone still in a closing group room leaves with it
+    if (session.type === 'group') {
+      updateChatSessionMembers(sessionId, session.members, reason);
+    }
+    
+    this.emit('session_ended', {
+      sessionId,
+      type: session.type,
+      members: session.members,
+      initiatorId,
+      reason
+    });
     
     // Return ended session
     return {
       ...session,
+      sessionId,
       endTime: new Date(),
       reason
     };
@@ -161,153 +810,275 @@ class MatchingService {
   
   /**
    * End a user's current session
+   * Leaving a group room only removes the user; the room stays open for the rest.
    * @param {string} userId - User ID to end session for
    * @param {string} reason - Reason for ending session
-   * @returns {Object} - Session that was ended
+   * @returns {Promise<Object|null>} - Session that was ended or left
    */
-  endUserSession(userId, reason = 'ended') {
-    const sessionId = this.userSessions.get(userId);
+  async endUserSession(userId, reason = 'ended') {
+    const sessionId = await this.store.getUserSessionId(userId);
     if (!sessionId) return null;
     
-    return this.endSession(sessionId, reason);
+    const session = await this.store.getSession(sessionId);
+    if (session && session.type === 'group') {
+      return this.leaveGroupRoom(sessionId, userId, reason);
+    }
+    
+    return this.endSession(sessionId, reason, userId);
+  }
+  
+  /**
+   * Remove a member from a group room
+   * Closes the room once fewer than two members remain, otherwise offers the
+   * free seat to waiting group seekers.
+   * @param {string} sessionId - Group room session ID
+   * @param {string} userId - User ID leaving
+   * @param {string} reason - Reason for leaving
+   * @returns {Promise<Object|null>} - Room as left, or null if the user was not a member
+   */
+  async leaveGroupRoom(sessionId, userId, reason = 'ended') {
+    const session = await this.store.removeSessionMember(sessionId, userId);
+    if (!session) return null;
+    
+    updateChatSessionMembers(sessionId, [userId], reason);
+    
+    this.emit('member_left', { sessionId, userId, members: session.members, reason });
+    
+    const stillPresent = session.members.filter(id => !session.reconnecting[id]);
+    if (stillPresent.length < 2) {
+      await this.endSession(sessionId, stillPresent.length === 0 ? 'abandoned' : 'room_closed', userId);
+    } else {
+      await this.fillGroupRoom(sessionId);
+    }
+    
+    return {
+      ...session,
+      sessionId,
+      endTime: new Date(),
+      reason
+    };
+  }
+  
+  /**
+   * Remember two users as recent partners of each other
+   * @param {string} user1Id - First user ID
+   * @param {string} user2Id - Second user ID
+   * @param {boolean} skipped - Whether either user skipped the other
+   */
+  async recordPartners(user1Id, user2Id, skipped) {
+    const record = { skipped, expiresAt: Date.now() + this.recentPartnerTtlMs };
+    
+    await Promise.all([
+      this.store.recordPartner(user1Id, user2Id, record),
+      this.store.recordPartner(user2Id, user1Id, record)
+    ]);
   }
   
   /**
    * Get statistics about the matching service
-   * @returns {Object} - Statistics object
+   * @returns {Promise<Object>} - Statistics object
    */
-  getStats() {
+  async getStats() {
+    const [queue, activeSessions, sessionUsers, onlineUsers] = await Promise.all([
+      this.store.getQueue(),
+      this.store.countSessions(),
+      this.store.countSessionUsers(),
+      this.store.countPresence()
+    ]);
+    
+    const waitingByLanguage = {};
+    for (const entry of queue) {
+      const language = entry.language || 'unspecified';
+      waitingByLanguage[language] = (waitingByLanguage[language] || 0) + 1;
+    }
+    
     return {
-      waitingUsers: this.waitingQueue.length,
-      activeSessions: this.activeSessions.size,
-      totalUsers: this.userSessions.size + this.waitingQueue.length
+      waitingUsers: queue.length,
+      waitingByLanguage,
+      activeSessions,
+      totalUsers: sessionUsers + queue.length,
+      onlineUsers
     };
   }
 }
 
-// Create singleton instance
-const matchingService = new MatchingService();
+/**
+ * Build a queue entry from a user's matching preferences
+ * @param {string} userId - User ID
+ * @param {Object} preferences - Raw matching preferences
+ * @returns {Object} - Queue entry
+ */
+function createQueueEntry(userId, preferences = {}) {
+  return {
+    userId,
+    interests: normalizeInterests(preferences.interests),
+    language: preferences.language ? String(preferences.language).toLowerCase() : null,
+    region: preferences.region ? String(preferences.region).toUpperCase() : null,
+    languageMatch: CONSTRAINT_MODES.includes(preferences.languageMatch) ? preferences.languageMatch : 'soft',
+    regionMatch: CONSTRAINT_MODES.includes(preferences.regionMatch) ? preferences.regionMatch : 'soft',
+    mode: SESSION_TYPES.includes(preferences.mode) ? preferences.mode : 'pair',
+    joinedAt: Date.now()
+  };
+}
 
-// Export for use in socket.io
-module.exports = matchingService;
+/**
+ * Check if a candidate satisfies an entry's hard language and region constraints
+ * @param {Object} entry - Queue entry whose constraints apply
+ * @param {Object} candidate - Queue entry being considered
+ * @returns {boolean} - True if the candidate is acceptable
+ */
+function satisfiesConstraints(entry, candidate) {
+  if (entry.languageMatch === 'hard' && entry.language && entry.language !== candidate.language) {
+    return false;
+  }
+  
+  if (entry.regionMatch === 'hard' && entry.region && entry.region !== candidate.region) {
+    return false;
+  }
+  
+  return true;
+}
 
-// API routes for matching
-router.post('/match', matchLimiter, auth.requireAuth, async (req, res) => {
+/**
+ * Check if two optional preference values are set and equal
+ * @param {string|null} a - First value
+ * @param {string|null} b - Second value
+ * @returns {boolean} - True if both are set and equal
+ */
+function isSameValue(a, b) {
+  return !!a && a === b;
+}
+
+/**
+ * Compare two candidate ranks lexicographically
+ * @param {number[]} a - First rank
+ * @param {number[]} b - Second rank
+ * @returns {number} - Positive if a ranks higher, negative if lower, 0 if equal
+ */
+function compareRanks(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+}
+
+/**
+ * Normalize a list of interest tags
+ * @param {*} interests - Raw interest tags from the client
+ * @returns {string[]} - Lowercased, trimmed, de-duplicated tags
+ */
+function normalizeInterests(interests) {
+  if (!Array.isArray(interests)) return [];
+  
+  const tags = interests
+    .filter(tag => typeof tag === 'string')
+    .map(tag => tag.trim().toLowerCase().slice(0, MAX_INTEREST_LENGTH))
+    .filter(tag => tag.length > 0);
+  
+  return [...new Set(tags)].slice(0, MAX_INTERESTS);
+}
+
+/**
+ * Describe a session from one member's point of view
+ * @param {string} sessionId - Session ID
+ * @param {Object} session - Stored session
+ * @param {string} userId - Member user ID
+ * @returns {Object} - Session details for the member
+ */
+function describeSession(sessionId, session, userId) {
+  const otherMembers = session.members.filter(id => id !== userId);
+  const reconnectingMembers = otherMembers.filter(id => session.reconnecting[id]);
+  
+  return {
+    sessionId,
+    type: session.type,
+    members: session.members,
+    otherMembers,
+    partnerId: session.type === 'pair' ? otherMembers[0] : null,
+    sharedInterests: session.sharedInterests,
+    resumeToken: session.resumeTokens[userId],
+    reconnectingMembers,
+    partnerReconnecting: session.type === 'pair' && reconnectingMembers.length > 0,
+    partnerMedia: session.type === 'pair' && session.media ? session.media[otherMembers[0]] || null : null,
+    startTime: session.startTime
+  };
+}
+
+// Database functions
+async function createChatSession(sessionId, type, members) {
   try {
-    const userId = req.user.id;
-    const ipAddress = req.ip;
-    
-    // Check if IP is blocked
-    const isBlocked = await moderationService.isIPBlocked(ipAddress);
-    if (isBlocked) {
-      return res.status(403).json({
-        error: 'Your IP address has been blocked due to violations.'
+    // Group rooms track their members in chat_session_members instead
+    await supabase
+      .from('chat_sessions')
+      .insert({
+        id: sessionId,
+        mode: type,
+        user1_id: type === 'pair' ? members[0] : null,
+        user2_id: type === 'pair' ? members[1] : null,
+        started_at: new Date().toISOString(),
+        status: 'active'
       });
-    }
     
-    // Add user to waiting queue
-    const added = matchingService.addToWaitingQueue(userId);
-    if (!added) {
-      return res.status(400).json({
-        error: 'You are already in a chat session or waiting queue.'
-      });
+    if (type === 'group') {
+      await supabase
+        .from('chat_session_members')
+        .insert(members.map(userId => ({ session_id: sessionId, user_id: userId })));
     }
-    
-    // Return success
-    res.status(200).json({
-      message: 'Added to matching queue',
-      position: matchingService.waitingQueue.length
-    });
   } catch (error) {
-    console.error('Error in match endpoint:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    console.error('Error creating chat session:', error);
   }
-});
+}
 
-router.post('/skip', auth.requireAuth, async (req, res) => {
+async function addChatSessionMember(sessionId, userId) {
   try {
-    const userId = req.user.id;
-    
-    // End current session
-    const session = matchingService.endUserSession(userId, 'skipped');
-    if (!session) {
-      return res.status(400).json({
-        error: 'You are not in a chat session.'
-      });
-    }
-    
-    // Add user back to waiting queue
-    matchingService.addToWaitingQueue(userId);
-    
-    // Update session in database
     await supabase
-      .from('chat_sessions')
+      .from('chat_session_members')
+      .insert({ session_id: sessionId, user_id: userId });
+  } catch (error) {
+    console.error('Error adding chat session member:', error);
+  }
+}
+
+// Mark group room members as having left
+async function updateChatSessionMembers(sessionId, userIds, reason) {
+  if (userIds.length === 0) return;
+  
+  try {
+    await supabase
+      .from('chat_session_members')
       .update({
-        ended_at: new Date().toISOString(),
-        status: 'ended'
+        left_at: new Date().toISOString(),
+        left_reason: reason
       })
-      .eq('id', session.sessionId);
-    
-    res.status(200).json({
-      message: 'Session ended and added back to matching queue'
-    });
+      .eq('session_id', sessionId)
+      .in('user_id', userIds)
+      .is('left_at', null);
   } catch (error) {
-    console.error('Error in skip endpoint:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    console.error('Error updating chat session member:', error);
   }
-});
+}
 
-router.post('/end', auth.requireAuth, async (req, res) => {
+async function updateChatSession(sessionId, status) {
   try {
-    const userId = req.user.id;
-    
-    // End current session
-    const session = matchingService.endUserSession(userId, 'ended');
-    if (!session) {
-      return res.status(400).json({
-        error: 'You are not in a chat session.'
-      });
-    }
-    
-    // Update session in database
     await supabase
       .from('chat_sessions')
       .update({
         ended_at: new Date().toISOString(),
-        status: 'ended'
+        status
       })
-      .eq('id', session.sessionId);
-    
-    res.status(200).json({
-      message: 'Session ended successfully'
-    });
+      .eq('id', sessionId);
   } catch (error) {
-    console.error('Error in end endpoint:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    console.error('Error updating chat session:', error);
   }
-});
+}
 
-router.get('/status', auth.requireAuth, (req, res) => {
-  try {
-    const userId = req.user.id;
-    
-    // Get user's current session
-    const session = matchingService.getUserSession(userId);
-    
-    // Get waiting queue position
-    const queuePosition = matchingService.waitingQueue.indexOf(userId);
-    
-    res.status(200).json({
-      inSession: !!session,
-      session,
-      inQueue: queuePosition !== -1,
-      queuePosition: queuePosition !== -1 ? queuePosition + 1 : null,
-      stats: matchingService.getStats()
-    });
-  } catch (error) {
-    console.error('Error in status endpoint:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
+// Create singleton instance
+const matchingService = new MatchingService(stateStore, {
+  interestMatchTimeoutMs: env.INTEREST_MATCH_TIMEOUT_MS,
+  recentPartnerTtlMs: env.RECENT_PARTNER_TTL_MS,
+  reconnectGraceMs: env.RECONNECT_GRACE_MS,
+  groupMinSize: env.GROUP_ROOM_MIN_SIZE,
+  groupMaxSize: env.GROUP_ROOM_MAX_SIZE
 });
 
-module.exports = router;
+module.exports = matchingService;
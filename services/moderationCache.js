@@ -0,0 +1,59 @@
+/**
+ * Moderation result cache
+ * Least recently used cache of provider results with a time to live. Entries
+ * are kept in a Map, whose insertion order doubles as recency order: reading
+ * an entry moves it to the end and the oldest entry is evicted when full.
+ */
+class ModerationCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {number} options.maxEntries - Most results kept
+   * @param {number} options.ttlMs - How long a result stays valid
+   */
+  constructor({ maxEntries, ttlMs }) {
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.entries = new Map(); // key -> { value, expiresAt }
+  }
+  
+  /**
+   * Get a cached result
+   * @param {string} key - Cache key
+   * @returns {Object|undefined} - Cached result, or undefined if missing or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    
+    this.entries.delete(key);
+    if (entry.expiresAt <= Date.now()) return undefined;
+    
+    // Re-insert to mark as most recently used
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+  
+  /**
+   * Cache a result, evicting the least recently used one when full
+   * @param {string} key - Cache key
+   * @param {Object} value - Result to cache
+   */
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + this.ttlMs });
+    
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+  
+  /**
+   * Number of cached results, including any not yet found to be expired
+   * @returns {number} - Entry count
+   */
+  get size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = ModerationCache;
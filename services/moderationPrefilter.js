@@ -0,0 +1,299 @@
+const supabase = require('../config/db');
+const env = require('../config/env');
+
+// Ways a prefilter entry can match
+const MATCH_TYPES = ['term', 'pattern'];
+
+// Severities a prefilter entry can carry, mildest first
+const SEVERITIES = ['low', 'medium', 'high'];
+
+// Look-alike letters from other scripts, mapped to the Latin letter they imitate
+const HOMOGLYPHS = {
+  'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o',
+  'р': 'p', 'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'і': 'i', 'ј': 'j', 'ѕ': 's',
+  'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o',
+  'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x'
+};
+
+// Digits used in place of letters
+const LEETSPEAK_DIGITS = {
+  '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '9': 'g'
+};
+
+// Symbols used in place of letters; also ordinary punctuation, so text is matched both ways
+const LEETSPEAK_SYMBOLS = {
+  '@': 'a', '$': 's', '!': 'i', '|': 'l', '+': 't', '€': 'e', '£': 'l'
+};
+
+// Invisible characters used to split words without visible spacing
+const INVISIBLE_CHARACTERS = /[\u00ad\u200b-\u200f\u2060\ufeff]/g;
+
+/**
+ * Moderation prefilter
+ * Catches obvious violations locally, before the moderation provider is
+ * called. Text is normalized to undo common obfuscation (leetspeak,
+ * look-alike letters, repeated characters and letters spaced apart) and then
+ * matched against the admin-managed entries in moderation_terms. Each entry
+ * is a plain term, matched as whole words, or a regular expression, and
+ * carries its own category and severity.
+ *
+ * Entries are cached and reloaded every MODERATION_PREFILTER_REFRESH_MS, so
+ * changes made on any server instance reach the others.
+ */
+
+// Cached entries, compiled for matching
+let cache = { entries: [], loadedAt: 0 };
+let loading = null;
+
+/**
+ * Normalize text to undo common obfuscation
+ * @param {string} text - Text to normalize
+ * @param {Object} [options] - Normalization options
+ * @param {boolean} [options.symbols] - Read symbols such as '@' and '$' as letters (default true)
+ * @returns {string} - Lowercase words separated by single spaces
+ */
+function normalizeText(text, { symbols = true } = {}) {
+  const folded = text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // Strip accents
+    .replace(INVISIBLE_CHARACTERS, '')
+    .toLowerCase();
+  
+  const letters = Array.from(folded, char =>
+    HOMOGLYPHS[char] || LEETSPEAK_DIGITS[char] || (symbols && LEETSPEAK_SYMBOLS[char]) || char
+  ).join('');
+  
+  const words = letters
+    .replace(/[^a-z\s]+/g, ' ')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+  
+  return joinSpacedLetters(words).join(' ');
+}
+
+/**
+ * Join runs of single letters, so 'b a d' reads as 'bad'
+ * @param {string[]} words - Normalized words
+ * @returns {string[]} - Words with spaced-out letters joined
+ */
+function joinSpacedLetters(words) {
+  const joined = [];
+  let run = '';
+  
+  for (const word of words) {
+    if (word.length === 1) {
+      run += word;
+      continue;
+    }
+    
+    if (run) joined.push(run);
+    run = '';
+    joined.push(word);
+  }
+  
+  if (run) joined.push(run);
+  return joined;
+}
+
+/**
+ * Compile a stored entry for matching
+ * Terms are normalized like message text and matched as whole words, with
+ * each letter allowed to repeat, so 'bad' also catches 'baaad' but 'ass' does
+ * not catch 'as'. Patterns are tried against both the normalized and the
+ * original text.
+ * @param {Object} row - moderation_terms row
+ * @returns {Object|null} - { id, category, severity, regex, matchOriginal }, or null if the entry cannot be used
+ */
+function compileEntry(row) {
+  const entry = { id: row.id, category: row.category, severity: row.severity };
+  
+  try {
+    if (row.match_type === 'pattern') {
+      return { ...entry, regex: new RegExp(row.term, 'i'), matchOriginal: true };
+    }
+    
+    const term = normalizeText(row.term);
+    if (!term) return null;
+    
+    const letterRuns = term.replace(/([a-z])\1*/g, run => `${run[0]}{${run.length},}`);
+    return { ...entry, regex: new RegExp(`\\b${letterRuns}\\b`), matchOriginal: false };
+  } catch (error) {
+    console.error(`Error compiling moderation prefilter entry ${row.id}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Get the cached entries, reloading them once they are stale
+ * @returns {Promise<Object[]>} - Compiled entries
+ */
+async function getEntries() {
+  if (Date.now() - cache.loadedAt < env.MODERATION_PREFILTER_REFRESH_MS) {
+    return cache.entries;
+  }
+  
+  // Share one reload between concurrent checks
+  if (!loading) {
+    loading = loadEntries().finally(() => {
+      loading = null;
+    });
+  }
+  
+  return loading;
+}
+
+/**
+ * Load entries from the database into the cache
+ * Keeps the previous entries until the next refresh if the database cannot be read.
+ * @returns {Promise<Object[]>} - Compiled entries
+ */
+async function loadEntries() {
+  try {
+    const { data, error } = await supabase
+      .from('moderation_terms')
+      .select('id, term, match_type, category, severity');
+    
+    if (error) throw error;
+    
+    cache = { entries: data.map(compileEntry).filter(Boolean), loadedAt: Date.now() };
+  } catch (error) {
+    console.error('Error loading moderation prefilter entries:', error);
+    cache.loadedAt = Date.now();
+  }
+  
+  return cache.entries;
+}
+
+/**
+ * Check content against the prefilter
+ * @param {string} content - Message content to check
+ * @returns {Promise<Object|null>} - Moderation result { flagged, flagReason, severity, categories } on a hit, or null
+ */
+async function check(content) {
+  const entries = await getEntries();
+  if (entries.length === 0) return null;
+  
+  // Symbols may stand in for letters or just be punctuation, so try both readings
+  const readings = [normalizeText(content), normalizeText(content, { symbols: false })];
+  const hits = entries.filter(entry =>
+    readings.some(reading => entry.regex.test(reading)) || (entry.matchOriginal && entry.regex.test(content))
+  );
+  if (hits.length === 0) return null;
+  
+  const categories = [...new Set(hits.map(hit => hit.category))];
+  const severity = hits
+    .map(hit => hit.severity)
+    .reduce((worst, current) => SEVERITIES.indexOf(current) > SEVERITIES.indexOf(worst) ? current : worst);
+  
+  return {
+    flagged: true,
+    flagReason: `Content flagged for: ${categories.join(', ')}`,
+    severity,
+    categories
+  };
+}
+
+/**
+ * Validate a prefilter entry before storing it
+ * @param {Object} entry - { term, matchType, category, severity }
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateEntry({ term, matchType = 'term', category, severity }) {
+  if (typeof term !== 'string' || term.trim() === '') {
+    return 'Term is required';
+  }
+  
+  if (!MATCH_TYPES.includes(matchType)) {
+    return `Match type must be one of: ${MATCH_TYPES.join(', ')}`;
+  }
+  
+  if (typeof category !== 'string' || category.trim() === '') {
+    return 'Category is required';
+  }
+  
+  if (!SEVERITIES.includes(severity)) {
+    return `Severity must be one of: ${SEVERITIES.join(', ')}`;
+  }
+  
+  if (matchType === 'pattern') {
+    try {
+      new RegExp(term, 'i');
+    } catch (error) {
+      return 'Pattern is not a valid regular expression';
+    }
+  } else if (!normalizeText(term)) {
+    return 'Term must contain letters';
+  }
+  
+  return null;
+}
+
+/**
+ * List all prefilter entries
+ * @returns {Promise<Object[]>} - moderation_terms rows, newest first
+ */
+async function listEntries() {
+  const { data, error } = await supabase
+    .from('moderation_terms')
+    .select('*')
+    .order('created_at', { ascending: false });
+  
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Add a prefilter entry
+ * @param {Object} entry - { term, matchType, category, severity }, checked with validateEntry
+ * @param {string} [createdBy] - Admin user ID
+ * @returns {Promise<Object>} - Stored row
+ */
+async function addEntry({ term, matchType = 'term', category, severity }, createdBy = null) {
+  const { data, error } = await supabase
+    .from('moderation_terms')
+    .insert({
+      term,
+      match_type: matchType,
+      category: category.trim(),
+      severity,
+      created_by: createdBy,
+      created_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+  
+  if (error) throw error;
+  
+  await loadEntries();
+  return data;
+}
+
+/**
+ * Remove a prefilter entry
+ * @param {string} id - Entry ID
+ * @returns {Promise<boolean>} - True if an entry was removed
+ */
+async function removeEntry(id) {
+  const { data, error } = await supabase
+    .from('moderation_terms')
+    .delete()
+    .eq('id', id)
+    .select('id');
+  
+  if (error) throw error;
+  
+  await loadEntries();
+  return data.length > 0;
+}
+
+module.exports = {
+  MATCH_TYPES,
+  SEVERITIES,
+  normalizeText,
+  check,
+  validateEntry,
+  listEntries,
+  addEntry,
+  removeEntry
+};
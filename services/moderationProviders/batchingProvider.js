@@ -0,0 +1,101 @@
+const { observeValue } = require('../monitoring');
+
+/**
+ * Batching moderation provider
+ * Wraps another provider and collects the text checks made within a short
+ * window into a single checkTexts call, so concurrent messages share one
+ * multi-input moderation request. Texts with the same key in a batch are
+ * checked once, using the first copy. Images are passed straight through.
+ */
+class BatchingModerationProvider {
+  /**
+   * @param {Object} provider - Provider to batch checks for
+   * @param {Object} options - Batching options
+   * @param {number} options.windowMs - How long to collect checks before sending them
+   * @param {number} options.maxSize - Most distinct texts in one request; a full batch is sent straight away
+   * @param {Function} [options.key] - (text) => key under which texts share a check; defaults to the text itself
+   */
+  constructor(provider, { windowMs, maxSize, key = text => text }) {
+    this.name = provider.name;
+    this.supportsImages = provider.supportsImages;
+    this.provider = provider;
+    this.windowMs = windowMs;
+    this.maxSize = maxSize;
+    this.key = key;
+    
+    // Checks waiting for the next request
+    this.pending = new Map(); // key -> { text, waiters: [{ resolve, reject }] }
+    this.timer = null;
+  }
+  
+  /**
+   * Check text as part of the next batch
+   * @param {string} text - Text to check
+   * @returns {Promise<Object>} - Normalized result { flagged, categories, scores }
+   */
+  checkText(text) {
+    return new Promise((resolve, reject) => {
+      const key = this.key(text);
+      if (!this.pending.has(key)) {
+        this.pending.set(key, { text, waiters: [] });
+      }
+      this.pending.get(key).waiters.push({ resolve, reject });
+      
+      if (this.pending.size >= this.maxSize) {
+        this.flush();
+      } else if (!this.timer) {
+        this.timer = setTimeout(() => this.flush(), this.windowMs);
+      }
+    });
+  }
+  
+  /**
+   * Check several texts in one request
+   * @param {string[]} texts - Texts to check
+   * @returns {Promise<Object[]>} - Normalized results, in the same order
+   */
+  async checkTexts(texts) {
+    return this.provider.checkTexts(texts);
+  }
+  
+  /**
+   * Check an image
+   * @param {Object} image - Image to check
+   * @returns {Promise<Object>} - Normalized result { flagged, categories, scores }
+   */
+  async checkImage(image) {
+    return this.provider.checkImage(image);
+  }
+  
+  /**
+   * Send the collected checks as one request and settle their promises
+   * The whole batch is a single provider call, so it succeeds or fails once.
+   */
+  async flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    
+    const batch = this.pending;
+    this.pending = new Map();
+    
+    const entries = Array.from(batch.values());
+    observeValue('moderation.batch_size', entries.length);
+    
+    try {
+      const results = await this.provider.checkTexts(entries.map(entry => entry.text));
+      
+      // Results are matched to texts by position, so a short answer cannot be trusted
+      if (!Array.isArray(results) || results.length !== entries.length) {
+        throw new Error(`Moderation provider returned ${results ? results.length : 0} results for ${entries.length} texts`);
+      }
+      
+      entries.forEach((entry, index) => {
+        entry.waiters.forEach(waiter => waiter.resolve(results[index]));
+      });
+    } catch (error) {
+      entries.forEach(entry => entry.waiters.forEach(waiter => waiter.reject(error)));
+    }
+  }
+}
+
+module.exports = BatchingModerationProvider;
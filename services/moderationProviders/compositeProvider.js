@@ -0,0 +1,110 @@
+/**
+ * Composite moderation provider
+ * Runs several providers on the same input and merges their results: a
+ * category is flagged if any provider flags it and scores its highest score.
+ * Every provider is required: if one fails the whole check fails, so the
+ * circuit breaker and failure policies apply rather than quietly relying on
+ * the providers that are left. Images go only to the providers that support
+ * them.
+ */
+class CompositeModerationProvider {
+  /**
+   * @param {Object[]} providers - Providers to run
+   */
+  constructor(providers) {
+    if (providers.length === 0) {
+      throw new Error('The composite moderation provider needs at least one provider');
+    }
+    
+    this.name = `composite(${providers.map(provider => provider.name).join(',')})`;
+    this.providers = providers;
+    this.supportsImages = providers.some(provider => provider.supportsImages);
+  }
+  
+  /**
+   * Check text with every provider
+   * @param {string} text - Text to check
+   * @returns {Promise<Object>} - Merged normalized result { flagged, categories, scores }
+   */
+  async checkText(text) {
+    const results = await this.settle(this.providers, provider => provider.checkText(text));
+    return mergeResults(results);
+  }
+  
+  /**
+   * Check several texts with every provider
+   * @param {string[]} texts - Texts to check
+   * @returns {Promise<Object[]>} - Merged normalized results, in the same order
+   */
+  async checkTexts(texts) {
+    const resultsByProvider = await this.settle(this.providers, provider => provider.checkTexts(texts));
+    return texts.map((_, index) => mergeResults(resultsByProvider.map(results => results[index])));
+  }
+  
+  /**
+   * Check an image with every provider that supports images
+   * @param {Object} image - Image to check
+   * @returns {Promise<Object>} - Merged normalized result { flagged, categories, scores }
+   */
+  async checkImage(image) {
+    const providers = this.providers.filter(provider => provider.supportsImages);
+    if (providers.length === 0) {
+      throw new Error('No configured moderation provider can check images');
+    }
+    
+    const results = await this.settle(providers, provider => provider.checkImage(image));
+    return mergeResults(results);
+  }
+  
+  /**
+   * Run a check on providers, failing if any of them fails
+   * @param {Object[]} providers - Providers to run
+   * @param {Function} check - (provider) => Promise of a result
+   * @returns {Promise<Object[]>} - Results of every provider
+   */
+  async settle(providers, check) {
+    const outcomes = await Promise.allSettled(providers.map(check));
+    const failed = [];
+    
+    outcomes.forEach((outcome, index) => {
+      if (outcome.status === 'rejected') {
+        console.error(`Error in ${providers[index].name} moderation provider:`, outcome.reason);
+        failed.push(providers[index].name);
+      }
+    });
+    
+    if (failed.length > 0) {
+      throw new Error(`Moderation provider failed: ${failed.join(', ')}`);
+    }
+    
+    return outcomes.map(outcome => outcome.value);
+  }
+}
+
+/**
+ * Merge normalized results, keeping every flag and the highest score per category
+ * @param {Object[]} results - Normalized results
+ * @returns {Object} - { flagged, categories, scores }
+ */
+function mergeResults(results) {
+  const categories = {};
+  const scores = {};
+  
+  for (const result of results) {
+    for (const [category, flagged] of Object.entries(result.categories)) {
+      categories[category] = categories[category] || flagged;
+    }
+    
+    for (const [category, score] of Object.entries(result.scores)) {
+      scores[category] = Math.max(scores[category] || 0, score);
+    }
+  }
+  
+  return {
+    flagged: results.some(result => result.flagged),
+    categories,
+    scores
+  };
+}
+
+module.exports = CompositeModerationProvider;
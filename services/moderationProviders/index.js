@@ -0,0 +1,49 @@
+const env = require('../../config/env');
+const OpenAIModerationProvider = require('./openAIProvider');
+const LocalModerationProvider = require('./localProvider');
+const CompositeModerationProvider = require('./compositeProvider');
+
+/**
+ * Moderation providers
+ * Classify chat content. Every provider implements the same interface (see
+ * localProvider.js):
+ *
+ * - name - provider name used in logs
+ * - supportsImages - whether checkImage can classify images
+ * - checkText(text) - classify text
+ * - checkTexts(texts) - classify several texts at once, results in the same order
+ * - checkImage({ data, contentType }) - classify an image
+ *
+ * Checks resolve to a normalized result:
+ * { flagged, categories: { [category]: boolean }, scores: { [category]: number } }
+ * with categories named after the OpenAI moderation categories.
+ *
+ * Selected with MODERATION_PROVIDER: 'openai', 'local' (rule-based, works
+ * offline) or 'composite' (the providers listed in MODERATION_PROVIDERS).
+ * Defaults to 'openai' when OPENAI_API_KEY is set and 'local' otherwise.
+ *
+ * moderationService calls the provider through its circuit breaker and, unless
+ * MODERATION_BATCH_WINDOW_MS is 0, batches text checks made within that window
+ * (see batchingProvider.js).
+ */
+function createModerationProvider(name) {
+  switch (name) {
+    case 'openai':
+      return new OpenAIModerationProvider({
+        apiKey: env.OPENAI_API_KEY,
+        imageModel: env.IMAGE_MODERATION_MODEL
+      });
+    case 'local':
+      return new LocalModerationProvider();
+    case 'composite':
+      return new CompositeModerationProvider(
+        env.MODERATION_PROVIDERS
+          .filter(providerName => providerName !== 'composite')
+          .map(createModerationProvider)
+      );
+    default:
+      throw new Error(`Unknown MODERATION_PROVIDER: ${name}`);
+  }
+}
+
+module.exports = createModerationProvider(env.MODERATION_PROVIDER);
@@ -0,0 +1,80 @@
+// Default score a matching rule gives its category
+const DEFAULT_RULE_SCORE = 0.85;
+
+// Built-in rules, named after the OpenAI moderation categories
+const DEFAULT_RULES = [
+  { category: 'harassment', pattern: /\b(kys|kill\s+yourself|go\s+die)\b/, score: 0.95 },
+  { category: 'harassment', pattern: /\b(you(\s+are|'re|r)?\s+(worthless|pathetic|disgusting|a\s+loser))\b/, score: 0.75 },
+  { category: 'harassment/threatening', pattern: /\bi('m|\s+am|\s+will|'ll)\s+(going\s+to\s+|gonna\s+)?(kill|hurt|find|stab|shoot)\s+you\b/, score: 0.9 },
+  { category: 'violence', pattern: /\b(kill|stab|shoot|murder)\s+(you|him|her|them|everyone)\b/, score: 0.8 },
+  { category: 'self-harm', pattern: /\b(kill\s+myself|end\s+my\s+life|want\s+to\s+die|cut\s+myself)\b/, score: 0.9 },
+  { category: 'sexual', pattern: /\b(send\s+(me\s+)?nudes|nude\s+pics?)\b/, score: 0.8 },
+  { category: 'sexual/minors', pattern: /\b(send\s+(me\s+)?nudes|nude\s+pics?)\b.*\b(1[0-7]|[0-9])\s*(yo|y\/o|years?\s+old)\b|\b(1[0-7]|[0-9])\s*(yo|y\/o|years?\s+old)\b.*\b(send\s+(me\s+)?nudes|nude\s+pics?)\b/, score: 0.95 },
+  { category: 'illicit', pattern: /\b(buy|sell|selling)\s+(cocaine|heroin|meth|fentanyl)\b/, score: 0.8 }
+];
+
+/**
+ * Local rule-based moderation provider
+ * Scores text against regular expression rules without any network calls, so
+ * moderation works offline. Each category scores the highest score among its
+ * matching rules and is flagged once that reaches the threshold. Images are
+ * not supported.
+ */
+class LocalModerationProvider {
+  /**
+   * @param {Object} [options] - Provider options
+   * @param {Object[]} [options.rules] - Rules { category, pattern, score } replacing the built-in ones
+   * @param {number} [options.threshold] - Score at which a category is flagged
+   */
+  constructor({ rules = DEFAULT_RULES, threshold = 0.5 } = {}) {
+    this.name = 'local';
+    this.supportsImages = false;
+    this.rules = rules;
+    this.threshold = threshold;
+  }
+  
+  /**
+   * Check text
+   * @param {string} text - Text to check
+   * @returns {Promise<Object>} - Normalized result { flagged, categories, scores }
+   */
+  async checkText(text) {
+    const normalized = text.toLowerCase().replace(/\s+/g, ' ');
+    const scores = {};
+    
+    for (const rule of this.rules) {
+      if (!rule.pattern.test(normalized)) continue;
+      
+      const score = rule.score === undefined ? DEFAULT_RULE_SCORE : rule.score;
+      scores[rule.category] = Math.max(scores[rule.category] || 0, score);
+    }
+    
+    const categories = Object.fromEntries(
+      Object.entries(scores).map(([category, score]) => [category, score >= this.threshold])
+    );
+    
+    return {
+      flagged: Object.values(categories).some(Boolean),
+      categories,
+      scores
+    };
+  }
+  
+  /**
+   * Check several texts
+   * @param {string[]} texts - Texts to check
+   * @returns {Promise<Object[]>} - Normalized results, in the same order
+   */
+  async checkTexts(texts) {
+    return Promise.all(texts.map(text => this.checkText(text)));
+  }
+  
+  /**
+   * Images need a provider that can classify them
+   */
+  async checkImage() {
+    throw new Error('The local moderation provider cannot check images');
+  }
+}
+
+module.exports = LocalModerationProvider;
@@ -0,0 +1,84 @@
+const OpenAI = require('openai');
+
+/**
+ * OpenAI moderation provider
+ * Checks text with the Moderation API and images with an image-capable
+ * moderation model.
+ */
+class OpenAIModerationProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.apiKey - OpenAI API key
+   * @param {string} options.imageModel - Moderation model used for images
+   */
+  constructor({ apiKey, imageModel }) {
+    if (!apiKey) {
+      throw new Error('OPENAI_API_KEY is required for the openai moderation provider');
+    }
+    
+    this.name = 'openai';
+    this.supportsImages = true;
+    this.client = new OpenAI({ apiKey });
+    this.imageModel = imageModel;
+  }
+  
+  /**
+   * Check text
+   * @param {string} text - Text to check
+   * @returns {Promise<Object>} - Normalized result { flagged, categories, scores }
+   */
+  async checkText(text) {
+    const response = await this.client.moderations.create({
+      input: text,
+    });
+    
+    return normalizeResult(response.results[0]);
+  }
+  
+  /**
+   * Check several texts in one request
+   * @param {string[]} texts - Texts to check
+   * @returns {Promise<Object[]>} - Normalized results, in the same order
+   */
+  async checkTexts(texts) {
+    const response = await this.client.moderations.create({
+      input: texts,
+    });
+    
+    return response.results.map(normalizeResult);
+  }
+  
+  /**
+   * Check an image
+   * @param {Object} image - Image to check
+   * @param {Buffer} image.data - Image bytes
+   * @param {string} image.contentType - Image MIME type
+   * @returns {Promise<Object>} - Normalized result { flagged, categories, scores }
+   */
+  async checkImage(image) {
+    const response = await this.client.moderations.create({
+      model: this.imageModel,
+      input: [{
+        type: 'image_url',
+        image_url: { url: `data:${image.contentType};base64,${image.data.toString('base64')}` }
+      }]
+    });
+    
+    return normalizeResult(response.results[0]);
+  }
+}
+
+/**
+ * Convert an OpenAI moderation result to the normalized shape
+ * @param {Object} result - Result with flagged, categories and category_scores
+ * @returns {Object} - { flagged, categories, scores }
+ */
+function normalizeResult(result) {
+  return {
+    flagged: result.flagged,
+    categories: { ...result.categories },
+    scores: { ...result.category_scores }
+  };
+}
+
+module.exports = OpenAIModerationProvider;
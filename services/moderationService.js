@@ -1,69 +1,346 @@
-const OpenAI = require('openai');
 const env = require('../config/env');
 const supabase = require('../config/db');
+const moderationProvider = require('./moderationProviders');
+const BatchingModerationProvider = require('./moderationProviders/batchingProvider');
+const moderationPrefilter = require('./moderationPrefilter');
+const ModerationCache = require('./moderationCache');
+const violationService = require('./violationService');
+const enforcementService = require('./enforcementService');
+const { logger, registerHealthCheck, incrementCounter } = require('./monitoring');
 
-// Initialize OpenAI API client
-const openai = new OpenAI({
-  apiKey: env.OPENAI_API_KEY,
-});
+// What to do with content when the provider cannot give a verdict
+const FAILURE_POLICIES = ['open', 'closed', 'hold'];
 
-// IP tracking for rate limiting and blocking
-const ipTracker = new Map(); // ip -> { count, lastViolation, warnings }
+// Enforcement state each sanction on the escalation ladder puts the sender under
+const SANCTION_ENFORCEMENTS = { mute: 'mute', temp_ban: 'ban', perm_ban: 'ban' };
+
+// Circuit breaker around the moderation provider. After enough consecutive
+// failures the circuit opens and checks fail straight away; once the cooldown
+// has passed it half-opens and the next call decides whether it closes again.
+const circuit = { state: 'closed', failures: 0, openedAt: null, lastError: null };
+
+// Messages waiting on a verdict under the hold policy
+let heldCount = 0;
+
+// Provider results for recently checked text, keyed on normalized content
+const resultCache = env.MODERATION_CACHE_SIZE > 0
+  ? new ModerationCache({ maxEntries: env.MODERATION_CACHE_SIZE, ttlMs: env.MODERATION_CACHE_TTL_MS })
+  : null;
+
+registerHealthCheck('moderation', () => ({
+  provider: moderationProvider.name,
+  circuit: circuit.state,
+  consecutiveFailures: circuit.failures,
+  openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+  lastError: circuit.lastError,
+  heldMessages: heldCount,
+  cachedResults: resultCache ? resultCache.size : 0
+}));
+
+// Text checks go through the circuit breaker once per provider request; when
+// batching is on, a whole batch is one request and counts once. Image checks
+// pass through the breaker in checkImage.
+const breakerGuardedProvider = {
+  name: moderationProvider.name,
+  supportsImages: moderationProvider.supportsImages,
+  checkText: text => callProvider(() => moderationProvider.checkText(text)),
+  checkTexts: texts => callProvider(() => moderationProvider.checkTexts(texts))
+};
+
+const textProvider = env.MODERATION_BATCH_WINDOW_MS > 0
+  ? new BatchingModerationProvider(breakerGuardedProvider, {
+    windowMs: env.MODERATION_BATCH_WINDOW_MS,
+    maxSize: env.MODERATION_BATCH_MAX_SIZE,
+    key: cacheKey
+  })
+  : breakerGuardedProvider;
+
+// Provider used to check images; replaceable with setImageProvider.
+// Without an image-capable provider image sharing is turned off.
+let imageProvider = moderationProvider.supportsImages
+  ? image => moderationProvider.checkImage(image)
+  : null;
+
+if (!imageProvider) {
+  console.warn(`Warning: The ${moderationProvider.name} moderation provider cannot check images, so image sharing is disabled`);
+}
 
 /**
- * Check content using OpenAI Moderation API
+ * Check content with the configured moderation provider
+ * Content caught by the local prefilter is flagged without calling the provider,
+ * and provider results are cached so repeated content is only checked once.
  * @param {string} content - Message content to check
- * @param {string} [ipAddress] - Optional IP address for tracking violations
- * @returns {Promise<Object>} - Moderation result with flagged status and reason
+ * @param {Object} [sender] - Who sent the content, for recording violations
+ * @param {string} [sender.userId] - Sender's user ID
+ * @param {string} [sender.ipAddress] - Sender's IP address
+ * @returns {Promise<Object>} - Moderation result with flagged status and reason, and the sanction applied if any
  */
-async function checkContent(content, ipAddress = null) {
+async function checkContent(content, sender = {}) {
   try {
     // Skip empty content
     if (!content || content.trim() === '') {
       return { flagged: false };
     }
     
-    // Call OpenAI Moderation API
-    const response = await openai.moderations.create({
-      input: content,
-    });
+    // Catch obvious violations locally before calling out
+    const prefilterResult = await moderationPrefilter.check(content);
+    if (prefilterResult) {
+      return withSanction(prefilterResult, sender);
+    }
     
-    const result = response.results[0];
+    const result = await checkTextCached(content);
     
-    // Check if content is flagged
-    if (result.flagged) {
-      // Get the categories that were flagged
-      const flaggedCategories = Object.entries(result.categories)
-        .filter(([_, value]) => value)
-        .map(([key, _]) => key);
-      
-      // Determine severity based on category and score
-      const severity = determineSeverity(result);
-      
-      // Track IP violation if provided
-      if (ipAddress && severity !== 'low') {
-        trackViolation(ipAddress, severity, flaggedCategories.join(', '));
-      }
+    return withSanction(summarizeResult(result), sender);
+  } catch (error) {
+    console.error(`Error checking content with ${moderationProvider.name} moderation provider:`, error);
+    // Fail open - allow content if moderation API fails
+    return { flagged: false, error: 'Moderation service unavailable' };
+  }
+}
+
+/**
+ * Check text with the provider, reusing a cached result for the same normalized content
+ * @param {string} content - Message content to check
+ * @returns {Promise<Object>} - Normalized provider result { flagged, categories, scores }
+ */
+async function checkTextCached(content) {
+  if (!resultCache) {
+    return textProvider.checkText(content);
+  }
+  
+  const key = cacheKey(content);
+  const cached = resultCache.get(key);
+  
+  if (cached) {
+    incrementCounter('moderation.cache_hits');
+    return cached;
+  }
+  
+  incrementCounter('moderation.cache_misses');
+  
+  const result = await textProvider.checkText(content);
+  resultCache.set(key, result);
+  
+  return result;
+}
+
+/**
+ * Normalize content for caching and batching, so trivially different copies share a result
+ * @param {string} content - Message content
+ * @returns {string} - Cache key
+ */
+function cacheKey(content) {
+  return content.normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Check an image using the image moderation provider
+ * Unlike text, callers should not deliver an image when the result has an error.
+ * @param {Object} image - Image to check
+ * @param {Buffer} image.data - Image bytes
+ * @param {string} image.contentType - Image MIME type
+ * @param {Object} [sender] - Who sent the image, for recording violations ({ userId, ipAddress })
+ * @returns {Promise<Object>} - Moderation result with flagged status and reason, and the sanction applied if any
+ */
+async function checkImage(image, sender = {}) {
+  if (!imageProvider) {
+    return { flagged: false, error: 'Image moderation is not available' };
+  }
+  
+  try {
+    const result = await callProvider(() => imageProvider(image));
+    return withSanction(summarizeResult(result), sender);
+  } catch (error) {
+    console.error('Error checking image with moderation provider:', error);
+    return { flagged: false, error: 'Moderation service unavailable' };
+  }
+}
+
+/**
+ * Check content or an image, applying the failure policy when the provider is unavailable
+ * Policies are looked up for the queue and user type (see getFailurePolicy):
+ * - open: the result is returned as is, unflagged with an error
+ * - closed: the result also carries failClosed, and the content must not be delivered
+ * - hold: returns { pending: true, verdict } where verdict is a promise of the
+ *   eventual result, retried with backoff; it carries failClosed if every retry fails
+ * @param {string|Object} input - Message content, or image { data, contentType }
+ * @param {Object} [options] - Check options
+ * @param {string} [options.type] - 'text' (default) or 'image'
+ * @param {string} [options.queue] - Queue the content was sent through, e.g. 'chat', 'dm' or 'image'
+ * @param {string} [options.userType] - 'guest' or 'registered'
+ * @param {string} [options.userId] - Sender's user ID, for recording violations
+ * @param {string} [options.ipAddress] - Sender's IP address, for recording violations
+ * @returns {Promise<Object>} - Moderation result, or a pending hold
+ */
+async function moderate(input, { type = 'text', queue, userType, userId = null, ipAddress = null } = {}) {
+  const sender = { userId, ipAddress };
+  const check = () => type === 'image' ? checkImage(input, sender) : checkContent(input, sender);
+  
+  const result = await check();
+  if (!result.error) return result;
+  
+  const policy = getFailurePolicy(queue, userType);
+  
+  if (policy === 'closed') {
+    return { ...result, failClosed: true };
+  }
+  
+  if (policy === 'hold') {
+    return { pending: true, verdict: retryUntilVerdict(check) };
+  }
+  
+  return result;
+}
+
+/**
+ * Get the failure policy for a queue and user type
+ * The most specific setting in MODERATION_FAILURE_POLICIES wins: 'queue:userType',
+ * then 'queue', then 'userType', then MODERATION_FAILURE_POLICY.
+ * @param {string} [queue] - Queue name
+ * @param {string} [userType] - 'guest' or 'registered'
+ * @returns {string} - 'open', 'closed' or 'hold'
+ */
+function getFailurePolicy(queue, userType) {
+  const policies = env.MODERATION_FAILURE_POLICIES;
+  const keys = [`${queue}:${userType}`, queue, userType];
+  const configured = keys.map(key => policies[key]).find(Boolean) || env.MODERATION_FAILURE_POLICY;
+  
+  if (!FAILURE_POLICIES.includes(configured)) {
+    console.error(`Unknown moderation failure policy: ${configured}, failing closed`);
+    return 'closed';
+  }
+  
+  return configured;
+}
+
+/**
+ * Retry a check with exponential backoff until the provider gives a verdict
+ * @param {Function} check - () => Promise of a moderation result
+ * @returns {Promise<Object>} - Verdict, or an unflagged result with failClosed once retries run out
+ */
+async function retryUntilVerdict(check) {
+  heldCount++;
+  
+  try {
+    let result;
+    
+    for (let attempt = 0; attempt < env.MODERATION_HOLD_MAX_ATTEMPTS; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, env.MODERATION_HOLD_RETRY_MS * 2 ** attempt));
       
-      return {
-        flagged: true,
-        flagReason: `Content flagged for: ${flaggedCategories.join(', ')}`,
-        severity,
-        categories: flaggedCategories
-      };
+      result = await check();
+      if (!result.error) return result;
     }
     
-    return { flagged: false };
+    return { ...result, failClosed: true };
+  } finally {
+    heldCount--;
+  }
+}
+
+/**
+ * Call the moderation provider through the circuit breaker
+ * @param {Function} call - () => Promise of a provider result
+ * @returns {Promise<Object>} - Provider result
+ */
+async function callProvider(call) {
+  if (circuit.state === 'open') {
+    if (Date.now() - circuit.openedAt < env.MODERATION_BREAKER_COOLDOWN_MS) {
+      throw new Error('Moderation circuit is open');
+    }
+    
+    setCircuitState('half_open');
+  }
+  
+  try {
+    const result = await call();
+    
+    circuit.failures = 0;
+    if (circuit.state !== 'closed') setCircuitState('closed');
+    
+    return result;
   } catch (error) {
-    console.error('Error checking content with OpenAI Moderation API:', error);
-    // Fail open - allow content if moderation API fails
-    return { flagged: false, error: 'Moderation service unavailable' };
+    circuit.failures++;
+    circuit.lastError = error.message;
+    
+    if (circuit.state === 'half_open' || circuit.failures >= env.MODERATION_BREAKER_THRESHOLD) {
+      circuit.openedAt = Date.now();
+      if (circuit.state !== 'open') setCircuitState('open');
+    }
+    
+    throw error;
+  }
+}
+
+/**
+ * Move the circuit breaker to a new state and log the change
+ * @param {string} state - 'closed', 'open' or 'half_open'
+ */
+function setCircuitState(state) {
+  circuit.state = state;
+  if (state === 'closed') circuit.openedAt = null;
+  
+  const message = `Moderation circuit ${state} (${moderationProvider.name})`;
+  if (state === 'open') {
+    logger.warn(message, { failures: circuit.failures, lastError: circuit.lastError });
+  } else {
+    logger.info(message);
+  }
+}
+
+/**
+ * Get the circuit breaker state
+ * @returns {Object} - { state, failures, openedAt }
+ */
+function getCircuitState() {
+  return { state: circuit.state, failures: circuit.failures, openedAt: circuit.openedAt };
+}
+
+/**
+ * Replace the provider used to check images
+ * @param {Function} provider - async (image) => normalized result { flagged, categories, scores }
+ */
+function setImageProvider(provider) {
+  imageProvider = provider;
+}
+
+/**
+ * Check whether images can be moderated, and so shared
+ * @returns {boolean} - True if an image provider is available
+ */
+function canCheckImages() {
+  return imageProvider !== null;
+}
+
+/**
+ * Turn a normalized provider result into the service's result shape
+ * @param {Object} result - Normalized result { flagged, categories, scores }
+ * @returns {Object} - Moderation result with flagged status and reason
+ */
+function summarizeResult(result) {
+  // Check if content is flagged
+  if (!result.flagged) {
+    return { flagged: false };
   }
+  
+  // Get the categories that were flagged
+  const flaggedCategories = Object.entries(result.categories)
+    .filter(([_, value]) => value)
+    .map(([key, _]) => key);
+  
+  // Determine severity based on category and score
+  const severity = determineSeverity(result);
+  
+  return {
+    flagged: true,
+    flagReason: `Content flagged for: ${flaggedCategories.join(', ')}`,
+    severity,
+    categories: flaggedCategories
+  };
 }
 
 /**
  * Determine severity of flagged content
- * @param {Object} result - OpenAI moderation result
+ * @param {Object} result - Normalized moderation result { flagged, categories, scores }
  * @returns {string} - Severity level: 'low', 'medium', or 'high'
  */
 function determineSeverity(result) {
@@ -77,95 +354,118 @@ function determineSeverity(result) {
   
   // Check for high severity categories
   for (const category of highSeverityCategories) {
-    if (result.categories[category] && result.category_scores[category] > 0.8) {
+    if (result.categories[category] && result.scores[category] > 0.8) {
       return 'high';
     }
   }
   
   // Check overall score
-  const maxScore = Math.max(...Object.values(result.category_scores));
+  const maxScore = Math.max(0, ...Object.values(result.scores));
   if (maxScore > 0.9) return 'high';
   if (maxScore > 0.7) return 'medium';
   return 'low';
 }
 
 /**
- * Track IP violations for potential blocking
- * @param {string} ipAddress - User IP address
- * @param {string} severity - Violation severity
- * @param {string} reason - Violation reason
+ * Record a violation for flagged content and attach the sanction it earned
+ * Low severity content is flagged without a strike.
+ * @param {Object} result - Moderation result
+ * @param {Object} sender - { userId, ipAddress }
+ * @returns {Promise<Object>} - Moderation result, with sanction { action, strikes, expiresAt } when one applies
  */
-async function trackViolation(ipAddress, severity, reason) {
-  if (!ipTracker.has(ipAddress)) {
-    ipTracker.set(ipAddress, { count: 0, lastViolation: Date.now(), warnings: 0 });
+async function withSanction(result, sender) {
+  if (!result.flagged || result.severity === 'low' || (!sender.userId && !sender.ipAddress)) {
+    return result;
   }
   
-  const record = ipTracker.get(ipAddress);
-  record.count++;
-  record.lastViolation = Date.now();
-  
-  // Increment warnings for medium/high severity
-  if (severity !== 'low') {
-    record.warnings++;
-  }
-  
-  // Check if IP should be blocked
-  if (
-    (severity === 'high' && record.warnings >= 1) || // Block immediately for high severity
-    (severity === 'medium' && record.warnings >= 3) || // Block after 3 medium warnings
-    (record.warnings >= 5) // Block after 5 total warnings
-  ) {
-    await blockIP(ipAddress, reason, severity);
+  const sanction = await trackViolation(sender, result.severity, result.categories.join(', '));
+  return sanction ? { ...result, sanction } : result;
+}
+
+/**
+ * Record a violation and carry out the sanction it earned on the escalation ladder
+ * Mutes and bans put the sender under the matching enforcement state, and
+ * temporary bans also block the sender's IP address for as long as the ban
+ * lasts. Permanent IP blocks are left to admins, since an address can be
+ * shared by many users.
+ * @param {Object} sender - { userId, ipAddress }
+ * @param {string} severity - Violation severity
+ * @param {string} reason - Violation reason
+ * @returns {Promise<Object|null>} - { action, strikes, expiresAt }, or null if no sanction applies
+ */
+async function trackViolation(sender, severity, reason) {
+  try {
+    const { action, strikes, expiresAt } = await violationService.recordViolation({ ...sender, severity, reason });
+    if (!action) return null;
+    
+    const enforcementType = SANCTION_ENFORCEMENTS[action];
+    if (enforcementType && sender.userId) {
+      await enforcementService.applyEnforcement(sender.userId, enforcementType, { reason, expiresAt });
+    }
+    
+    // The user ban already stands, so a failed IP block does not undo the sanction
+    if (violationService.isBan({ action }) && expiresAt && sender.ipAddress) {
+      await blockIP(sender.ipAddress, reason, expiresAt)
+        .catch(error => console.error('Error blocking IP:', error));
+    }
+    
+    return { action, strikes, expiresAt };
+  } catch (error) {
+    console.error('Error recording violation:', error);
+    return null;
   }
 }
 
 /**
  * Block an IP address in the database
+ * Blocking an already blocked address keeps whichever block lasts longer.
  * @param {string} ipAddress - IP address to block
  * @param {string} reason - Reason for blocking
- * @param {string} severity - Violation severity
+ * @param {Date} [expiresAt] - When the block lapses (null for permanent)
  */
-async function blockIP(ipAddress, reason, severity) {
-  try {
-    // Check if IP is already blocked
-    const { data: existingBlock } = await supabase
+async function blockIP(ipAddress, reason, expiresAt = null) {
+  // Check if IP is already blocked
+  const { data: existingBlock, error: findError } = await supabase
+    .from('blocked_ips')
+    .select('*')
+    .eq('ip_address', ipAddress)
+    .maybeSingle();
+  
+  if (findError) throw findError;
+  
+  if (existingBlock) {
+    const existingExpiry = existingBlock.expires_at ? new Date(existingBlock.expires_at) : null;
+    const lastsLonger = !expiresAt || (existingExpiry && expiresAt > existingExpiry);
+    
+    // Update existing block
+    const { error } = await supabase
       .from('blocked_ips')
-      .select('*')
-      .eq('ip_address', ipAddress)
-      .single();
+      .update({
+        block_count: existingBlock.block_count + 1,
+        reason: `${existingBlock.reason}; ${reason}`,
+        expires_at: lastsLonger
+          ? (expiresAt ? expiresAt.toISOString() : null)
+          : existingBlock.expires_at
+      })
+      .eq('ip_address', ipAddress);
     
-    if (existingBlock) {
-      // Update existing block
-      await supabase
-        .from('blocked_ips')
-        .update({
-          block_count: existingBlock.block_count + 1,
-          reason: `${existingBlock.reason}; ${reason}`,
-          // Extend block duration for repeat offenders
-          expires_at: severity === 'high' ? null : new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) // 30 days or permanent
-        })
-        .eq('ip_address', ipAddress);
-    } else {
-      // Create new block
-      const expiryDate = severity === 'high' 
-        ? null // Permanent block for high severity
-        : new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days for others
-      
-      await supabase
-        .from('blocked_ips')
-        .insert({
-          ip_address: ipAddress,
-          reason,
-          blocked_at: new Date().toISOString(),
-          expires_at: expiryDate ? expiryDate.toISOString() : null,
-          block_count: 1
-        });
-    }
+    if (error) throw error;
+  } else {
+    // Create new block
+    const { error } = await supabase
+      .from('blocked_ips')
+      .insert({
+        ip_address: ipAddress,
+        reason,
+        blocked_at: new Date().toISOString(),
+        expires_at: expiresAt ? expiresAt.toISOString() : null,
+        block_count: 1
+      });
     
-    console.log(`IP ${ipAddress} blocked for: ${reason}`);
-  } catch (error) {
-    console.error('Error blocking IP:', error);
+    if (error) throw error;
   }
+  
+  console.log(`IP ${ipAddress} blocked for: ${reason}`);
 }
 
 /**
@@ -195,8 +495,63 @@ async function isIPBlocked(ipAddress) {
   }
 }
 
+/**
+ * List blocked IP addresses, including expired blocks
+ * @returns {Promise<Object[]>} - blocked_ips rows, most recently blocked first
+ */
+async function listBlockedIPs() {
+  const { data, error } = await supabase
+    .from('blocked_ips')
+    .select('*')
+    .order('blocked_at', { ascending: false });
+  
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Get the block on an IP address
+ * @param {string} ipAddress - IP address to look up
+ * @returns {Promise<Object|null>} - blocked_ips row, or null if the address is not blocked
+ */
+async function getIPBlock(ipAddress) {
+  const { data, error } = await supabase
+    .from('blocked_ips')
+    .select('*')
+    .eq('ip_address', ipAddress)
+    .maybeSingle();
+  
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Remove the block on an IP address
+ * @param {string} ipAddress - IP address to unblock
+ * @returns {Promise<boolean>} - True if the address was blocked
+ */
+async function unblockIP(ipAddress) {
+  const { data, error } = await supabase
+    .from('blocked_ips')
+    .delete()
+    .eq('ip_address', ipAddress)
+    .select('ip_address');
+  
+  if (error) throw error;
+  return data.length > 0;
+}
+
 module.exports = {
   checkContent,
+  checkImage,
+  moderate,
+  getFailurePolicy,
+  getCircuitState,
+  setImageProvider,
+  canCheckImages,
   isIPBlocked,
-  blockIP
+  blockIP,
+  getIPBlock,
+  unblockIP,
+  listBlockedIPs
 };
@@ -44,6 +44,49 @@ if (env.NODE_ENV === 'production') {
   }));
 }
 
+// Components reporting their state for health checks, e.g. circuit breakers
+const healthChecks = new Map(); // name -> () => state
+
+// Register a function that reports a component's current state
+const registerHealthCheck = (name, check) => {
+  healthChecks.set(name, check);
+};
+
+// Current state of every registered component
+const getHealthChecks = () => {
+  return Object.fromEntries(Array.from(healthChecks, ([name, check]) => [name, check()]));
+};
+
+// Counters and value summaries reported by services, e.g. cache hits and batch sizes
+const metrics = { counters: {}, summaries: {} };
+
+// Add to a named counter
+const incrementCounter = (name, amount = 1) => {
+  metrics.counters[name] = (metrics.counters[name] || 0) + amount;
+};
+
+// Record a value in a named summary of count, sum, min and max
+const observeValue = (name, value) => {
+  const summary = metrics.summaries[name] || { count: 0, sum: 0, min: value, max: value };
+
+  summary.count++;
+  summary.sum += value;
+  summary.min = Math.min(summary.min, value);
+  summary.max = Math.max(summary.max, value);
+
+  metrics.summaries[name] = summary;
+};
+
+// Current counters, and summaries with their mean
+const getMetrics = () => {
+  const summaries = Object.fromEntries(Object.entries(metrics.summaries).map(([name, summary]) => [
+    name,
+    { ...summary, mean: summary.sum / summary.count }
+  ]));
+
+  return { counters: { ...metrics.counters }, summaries };
+};
+
 // Performance monitoring middleware
 const performanceMonitor = (req, res, next) => {
   if (!env.ENABLE_PERFORMANCE_MONITORING) {
@@ -108,5 +151,10 @@ module.exports = {
   performanceMonitor,
   errorTracker,
   requestLogger,
+  registerHealthCheck,
+  getHealthChecks,
+  incrementCounter,
+  observeValue,
+  getMetrics,
   Sentry
 }; 
\ No newline at end of file
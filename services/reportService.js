@@ -0,0 +1,322 @@
+const supabase = require('../config/db');
+const env = require('../config/env');
+const enforcementService = require('./enforcementService');
+
+// What a report can be about
+const REPORT_CATEGORIES = ['harassment', 'hate', 'sexual', 'spam', 'violence', 'self_harm', 'underage', 'other'];
+
+// Statuses a report moves through: open, reviewing once a moderator picks it
+// up, then actioned or dismissed
+const REPORT_STATUSES = ['open', 'reviewing', 'actioned', 'dismissed'];
+
+// Statuses of reports still awaiting a decision
+const PENDING_STATUSES = ['open', 'reviewing'];
+
+// Page size limits for the report queue
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Report service
+ * Filing and review of user reports. Each report covers a chat session or a
+ * single direct message and keeps a snapshot of the evidence as it was when
+ * reported: the last REPORT_EVIDENCE_MESSAGES messages of the session, or the
+ * direct message. Moderators also see the whole session transcript, including
+ * flagged, edited and unsent messages.
+ *
+ * A user reported by REPORT_SUSPEND_THRESHOLD distinct users within
+ * REPORT_SUSPEND_WINDOW_MS is suspended from matchmaking until none of the
+ * reports against them are pending.
+ */
+
+/**
+ * Check if a reporter has already reported a user for a session or direct message
+ * @param {Object} report - { reporterId, reportedId, sessionId, dmMessageId }
+ * @returns {Promise<boolean>} - True if a report, pending or closed, already exists
+ */
+async function hasReported({ reporterId, reportedId, sessionId = null, dmMessageId = null }) {
+  let query = supabase
+    .from('reports')
+    .select('id')
+    .eq('reporter_id', reporterId)
+    .eq('reported_id', reportedId)
+    .limit(1);
+  
+  query = dmMessageId ? query.eq('dm_message_id', dmMessageId) : query.eq('session_id', sessionId);
+  
+  const { data, error } = await query;
+  if (error) throw error;
+  return data.length > 0;
+}
+
+/**
+ * File a report and suspend the reported user if enough users have reported them
+ * Callers check hasReported first; unique indexes on reports refuse any repeat that slips through.
+ * @param {Object} report - Report details
+ * @param {string} report.reporterId - User making the report
+ * @param {string} report.reportedId - User being reported
+ * @param {string} report.category - One of REPORT_CATEGORIES
+ * @param {string} [report.reason] - Reporter's description
+ * @param {string} [report.sessionId] - Reported chat session
+ * @param {Object} [report.directMessage] - Reported direct message row
+ * @returns {Promise<Object>} - Stored report
+ */
+async function createReport({ reporterId, reportedId, category, reason = null, sessionId = null, directMessage = null }) {
+  const evidence = directMessage
+    ? [snapshotMessage(directMessage)]
+    : await snapshotSession(sessionId);
+  
+  const { data: report, error } = await supabase
+    .from('reports')
+    .insert({
+      session_id: sessionId,
+      dm_message_id: directMessage ? directMessage.id : null,
+      reporter_id: reporterId,
+      reported_id: reportedId,
+      category,
+      reason,
+      evidence,
+      status: 'open',
+      created_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+  
+  if (error) throw error;
+  
+  // The report is stored either way; a failed suspension is picked up by the next report
+  try {
+    await suspendIfReportedOften(reportedId);
+  } catch (error) {
+    console.error('Error checking report suspension:', error);
+  }
+  
+  return report;
+}
+
+/**
+ * Copy the fields of a message kept as evidence
+ * @param {Object} message - messages or dm_messages row
+ * @returns {Object} - Evidence entry
+ */
+function snapshotMessage(message) {
+  return {
+    id: message.id,
+    senderId: message.sender_id,
+    content: message.content,
+    imageUrl: message.image_url || null,
+    flagged: !!message.flagged,
+    createdAt: message.created_at,
+    editedAt: message.edited_at || null,
+    deletedAt: message.deleted_at || null
+  };
+}
+
+/**
+ * Snapshot the latest messages of a chat session
+ * @param {string} sessionId - Chat session ID
+ * @returns {Promise<Object[]>} - Evidence entries, oldest first
+ */
+async function snapshotSession(sessionId) {
+  const { data: messages, error } = await supabase
+    .from('messages')
+    .select('id, sender_id, content, image_url, flagged, created_at, edited_at, deleted_at')
+    .eq('session_id', sessionId)
+    .order('created_at', { ascending: false })
+    .limit(env.REPORT_EVIDENCE_MESSAGES);
+  
+  if (error) throw error;
+  return messages.reverse().map(snapshotMessage);
+}
+
+/**
+ * Suspend a user from matchmaking once enough distinct users have reported them
+ * @param {string} userId - Reported user
+ * @returns {Promise<Object|null>} - Suspension, or null below the threshold
+ */
+async function suspendIfReportedOften(userId) {
+  if (env.REPORT_SUSPEND_THRESHOLD <= 0) return null;
+  
+  const since = new Date(Date.now() - env.REPORT_SUSPEND_WINDOW_MS);
+  
+  const { data, error } = await supabase
+    .from('reports')
+    .select('reporter_id')
+    .eq('reported_id', userId)
+    .in('status', PENDING_STATUSES)
+    .gte('created_at', since.toISOString());
+  
+  if (error) throw error;
+  
+  const reporters = new Set(data.map(report => report.reporter_id));
+  if (reporters.size < env.REPORT_SUSPEND_THRESHOLD) return null;
+  
+  return enforcementService.applyEnforcement(userId, 'suspension', {
+    reason: `Reported by ${reporters.size} users, pending review`
+  });
+}
+
+/**
+ * Page through reports, newest first
+ * @param {Object} [filters] - Filters and paging
+ * @param {string} [filters.status] - Only reports with this status
+ * @param {string} [filters.category] - Only reports in this category
+ * @param {string} [filters.reportedId] - Only reports against this user
+ * @param {string} [filters.reporterId] - Only reports made by this user
+ * @param {string} [filters.before] - Only reports created before this ISO timestamp
+ * @param {number} [filters.limit] - Page size
+ * @returns {Promise<Object>} - { reports, nextBefore } where nextBefore is null on the last page
+ */
+async function listReports({ status, category, reportedId, reporterId, before, limit } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  
+  let query = supabase
+    .from('reports')
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(pageSize);
+  
+  if (status) query = query.eq('status', status);
+  if (category) query = query.eq('category', category);
+  if (reportedId) query = query.eq('reported_id', reportedId);
+  if (reporterId) query = query.eq('reporter_id', reporterId);
+  if (before) query = query.lt('created_at', before);
+  
+  const { data: reports, error } = await query;
+  if (error) throw error;
+  
+  return {
+    reports,
+    nextBefore: reports.length === pageSize ? reports[reports.length - 1].created_at : null
+  };
+}
+
+/**
+ * Get a report with the evidence it concerns
+ * @param {string} reportId - Report ID
+ * @returns {Promise<Object|null>} - Report row with transcript (session reports) or directMessage (DM reports), or null if not found
+ */
+async function getReport(reportId) {
+  const { data: report, error } = await supabase
+    .from('reports')
+    .select('*')
+    .eq('id', reportId)
+    .maybeSingle();
+  
+  if (error) throw error;
+  if (!report) return null;
+  
+  if (report.dm_message_id) {
+    return { ...report, directMessage: await getDirectMessage(report.dm_message_id) };
+  }
+  
+  return { ...report, transcript: await getTranscript(report.session_id) };
+}
+
+/**
+ * Get every message in a chat session, oldest first
+ * @param {string} sessionId - Chat session ID
+ * @returns {Promise<Object[]>} - Messages, with their edit history
+ */
+async function getTranscript(sessionId) {
+  const { data: messages, error } = await supabase
+    .from('messages')
+    .select('id, sender_id, content, image_url, flagged, flag_reason, created_at, edited_at, deleted_at, message_edits(previous_content, edited_at)')
+    .eq('session_id', sessionId)
+    .order('created_at', { ascending: true });
+  
+  if (error) throw error;
+  return messages;
+}
+
+/**
+ * Get a reported direct message
+ * @param {string} messageId - Direct message ID
+ * @returns {Promise<Object|null>} - Message row, or null if it no longer exists
+ */
+async function getDirectMessage(messageId) {
+  const { data, error } = await supabase
+    .from('dm_messages')
+    .select('id, conversation_id, sender_id, recipient_id, content, created_at')
+    .eq('id', messageId)
+    .maybeSingle();
+  
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Mark a report as under review by a moderator
+ * @param {string} reportId - Report ID
+ * @param {string} reviewerId - User ID of the moderator reviewing it
+ * @returns {Promise<Object|null>} - Updated report, or null if not found or no longer open
+ */
+async function startReview(reportId, reviewerId) {
+  const { data, error } = await supabase
+    .from('reports')
+    .update({
+      status: 'reviewing',
+      reviewed_by: reviewerId,
+      reviewed_at: new Date().toISOString()
+    })
+    .eq('id', reportId)
+    .eq('status', 'open')
+    .select()
+    .maybeSingle();
+  
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Close a pending report as actioned or dismissed
+ * Closed reports cannot be closed again, so the reviewer and note stay as recorded.
+ * Lifts the reported user's suspension once no reports against them are pending.
+ * @param {string} reportId - Report ID
+ * @param {string} status - 'actioned' or 'dismissed'
+ * @param {string} reviewerId - User ID of the moderator closing it
+ * @param {string} [note] - Reviewer's note
+ * @returns {Promise<Object|null>} - Updated report, or null if not found or already closed
+ */
+async function closeReport(reportId, status, reviewerId, note = null) {
+  const { data: report, error } = await supabase
+    .from('reports')
+    .update({
+      status,
+      reviewed_by: reviewerId,
+      reviewed_at: new Date().toISOString(),
+      resolution_note: note
+    })
+    .eq('id', reportId)
+    .in('status', PENDING_STATUSES)
+    .select()
+    .maybeSingle();
+  
+  if (error) throw error;
+  if (!report) return null;
+  
+  const { data: pending, error: pendingError } = await supabase
+    .from('reports')
+    .select('id')
+    .eq('reported_id', report.reported_id)
+    .in('status', PENDING_STATUSES)
+    .limit(1);
+  
+  if (pendingError) throw pendingError;
+  if (pending.length === 0) {
+    await enforcementService.liftEnforcement(report.reported_id, 'suspension');
+  }
+  
+  return report;
+}
+
+module.exports = {
+  REPORT_CATEGORIES,
+  REPORT_STATUSES,
+  hasReported,
+  createReport,
+  listReports,
+  getReport,
+  startReview,
+  closeReport
+};
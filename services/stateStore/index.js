@@ -0,0 +1,41 @@
+const { v4: uuidv4 } = require('uuid');
+const env = require('../../config/env');
+const MemoryStateStore = require('./memoryStore');
+const RedisStateStore = require('./redisStore');
+
+/**
+ * Shared state store
+ * Holds matching queue, sessions, partner history, match preferences and
+ * presence. Every store implements the same async interface (see memoryStore.js):
+ *
+ * - connect(), disconnect(), createSocketAdapter()
+ * - addToQueue, removeFromQueue, getQueueEntry, getQueue, claimQueueEntries
+ * - createSession, updateSession, getSession, getUserSessionId, clearUserSession,
+ *   deleteSession, countSessions, countSessionUsers
+ * - addSessionMember, removeSessionMember, getOpenRooms (group rooms)
+ * - pushPendingMessage, takePendingMessages
+ * - addReconnectDeadline, getLapsedReconnects, removeReconnectDeadline
+ * - recordPartner, getPartnerHistory, pruneExpired
+ * - setMatchPreferences, getMatchPreferences
+ * - claimIdempotencyKey, setIdempotencyResult, getIdempotencyResult, releaseIdempotencyKey
+ * - setPresence, removePresence, getPresence, countPresence
+ *
+ * Selected with STATE_STORE: 'memory' (default, single instance) or 'redis'.
+ */
+function createStateStore() {
+  switch (env.STATE_STORE) {
+    case 'redis':
+      return new RedisStateStore({ url: env.REDIS_URL, keyPrefix: env.REDIS_KEY_PREFIX });
+    case 'memory':
+      return new MemoryStateStore();
+    default:
+      throw new Error(`Unknown STATE_STORE: ${env.STATE_STORE}`);
+  }
+}
+
+const stateStore = createStateStore();
+
+// Identifies this server instance in presence records
+stateStore.instanceId = env.INSTANCE_ID || uuidv4();
+
+module.exports = stateStore;
@@ -0,0 +1,465 @@
+/**
+ * In-memory state store
+ * Keeps queue, session, partner history and presence state in process-local
+ * Maps. Suitable for a single server instance.
+ */
+class MemoryStateStore {
+  constructor() {
+    // Queue of users waiting to be matched, in arrival order
+    this.queue = new Map(); // userId -> queue entry
+    
+    // Map of active sessions
+    this.sessions = new Map(); // sessionId -> session
+    
+    // Map of user to session
+    this.userSessions = new Map(); // userId -> sessionId
+    
+    // Messages held for users who are reconnecting
+    this.pendingMessages = new Map(); // `${sessionId}:${userId}` -> [message]
+    
+    // Reconnect grace deadlines of users who dropped out of a session
+    this.reconnectDeadlines = new Map(); // `${sessionId}:${userId}:${deadline}` -> { sessionId, userId, deadline }
+    
+    // Recent partners and skips
+    this.partnerHistory = new Map(); // userId -> Map(partnerId -> { skipped, expiresAt })
+    
+    // Last matching preferences per user
+    this.matchPreferences = new Map(); // userId -> { preferences, expiresAt }
+    
+    // Connected users
+    this.presence = new Map(); // userId -> { socketId, instanceId, connectedAt }
+    
+    // Idempotency keys for retried requests
+    this.idempotency = new Map(); // key -> { result, expiresAt }
+  }
+  
+  /**
+   * Prepare the store for use
+   */
+  async connect() {}
+  
+  /**
+   * Release any resources held by the store
+   */
+  async disconnect() {}
+  
+  /**
+   * Socket.io adapter for cross-instance delivery
+   * @returns {null} - The default in-memory adapter is sufficient
+   */
+  createSocketAdapter() {
+    return null;
+  }
+  
+  // Queue
+  
+  /**
+   * Add an entry to the waiting queue
+   * @param {Object} entry - Queue entry with userId
+   * @returns {Promise<boolean>} - False if the user was already queued
+   */
+  async addToQueue(entry) {
+    if (this.queue.has(entry.userId)) return false;
+    this.queue.set(entry.userId, entry);
+    return true;
+  }
+  
+  /**
+   * Remove a user from the waiting queue
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} - True if the user was queued
+   */
+  async removeFromQueue(userId) {
+    return this.queue.delete(userId);
+  }
+  
+  /**
+   * Get a user's queue entry
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} - Queue entry or null
+   */
+  async getQueueEntry(userId) {
+    return this.queue.get(userId) || null;
+  }
+  
+  /**
+   * Get all queue entries in arrival order
+   * @returns {Promise<Object[]>} - Queue entries
+   */
+  async getQueue() {
+    return [...this.queue.values()];
+  }
+  
+  /**
+   * Atomically remove several users from the queue
+   * Nothing is removed unless every user is still queued.
+   * @param {string[]} userIds - User IDs to claim
+   * @returns {Promise<boolean>} - True if all users were claimed
+   */
+  async claimQueueEntries(userIds) {
+    if (!userIds.every(userId => this.queue.has(userId))) return false;
+    userIds.forEach(userId => this.queue.delete(userId));
+    return true;
+  }
+  
+  // Sessions
+  
+  /**
+   * Store a session and map its members to it
+   * @param {string} sessionId - Session ID
+   * @param {Object} session - Session with a members array
+   */
+  async createSession(sessionId, session) {
+    this.sessions.set(sessionId, session);
+    session.members.forEach(userId => this.userSessions.set(userId, sessionId));
+  }
+  
+  /**
+   * Atomically add a member to a session that has room
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - User ID to add
+   * @param {number} maxMembers - Session size limit
+   * @param {string} resumeToken - Resume token for the new member
+   * @returns {Promise<Object|null>} - Updated session, or null if gone, full or already a member
+   */
+  async addSessionMember(sessionId, userId, maxMembers, resumeToken) {
+    const session = this.sessions.get(sessionId);
+    if (!session || session.members.length >= maxMembers || session.members.includes(userId)) {
+      return null;
+    }
+    
+    session.members.push(userId);
+    session.resumeTokens[userId] = resumeToken;
+    this.userSessions.set(userId, sessionId);
+    return session;
+  }
+  
+  /**
+   * Atomically remove a member from a session
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - User ID to remove
+   * @returns {Promise<Object|null>} - Updated session, or null if gone or not a member
+   */
+  async removeSessionMember(sessionId, userId) {
+    const session = this.sessions.get(sessionId);
+    if (!session || !session.members.includes(userId)) return null;
+    
+    session.members = session.members.filter(id => id !== userId);
+    delete session.resumeTokens[userId];
+    delete session.reconnecting[userId];
+    if (this.userSessions.get(userId) === sessionId) {
+      this.userSessions.delete(userId);
+    }
+    this.pendingMessages.delete(`${sessionId}:${userId}`);
+    return session;
+  }
+  
+  /**
+   * Get IDs of group sessions that may have room for more members
+   * @returns {Promise<string[]>} - Session IDs
+   */
+  async getOpenRooms() {
+    return [...this.sessions.entries()]
+      .filter(([, session]) => session.type === 'group')
+      .map(([sessionId]) => sessionId);
+  }
+  
+  /**
+   * Atomically apply a change to a session
+   * @param {string} sessionId - Session ID
+   * @param {Function} change - Mutates the session; return false to abort
+   * @returns {Promise<Object|null>} - Updated session, or null if gone or aborted
+   */
+  async updateSession(sessionId, change) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return null;
+    
+    const updated = JSON.parse(JSON.stringify(session));
+    if (change(updated) === false) return null;
+    
+    this.sessions.set(sessionId, updated);
+    return updated;
+  }
+  
+  /**
+   * Get a session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} - Session or null
+   */
+  async getSession(sessionId) {
+    return this.sessions.get(sessionId) || null;
+  }
+  
+  /**
+   * Get the session ID a user is in
+   * @param {string} userId - User ID
+   * @returns {Promise<string|null>} - Session ID or null
+   */
+  async getUserSessionId(userId) {
+    return this.userSessions.get(userId) || null;
+  }
+  
+  /**
+   * Clear a user's session mapping
+   * @param {string} userId - User ID
+   */
+  async clearUserSession(userId) {
+    this.userSessions.delete(userId);
+  }
+  
+  /**
+   * Atomically remove a session and its user mappings
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} - Removed session, or null if it was already gone
+   */
+  async deleteSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return null;
+    
+    this.sessions.delete(sessionId);
+    for (const userId of session.members) {
+      if (this.userSessions.get(userId) === sessionId) {
+        this.userSessions.delete(userId);
+      }
+      this.pendingMessages.delete(`${sessionId}:${userId}`);
+    }
+    return session;
+  }
+  
+  /**
+   * Hold a message for a user who is reconnecting
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - Recipient user ID
+   * @param {Object} message - Message payload
+   * @param {number} maxMessages - Oldest messages are dropped beyond this count
+   */
+  async pushPendingMessage(sessionId, userId, message, maxMessages) {
+    const key = `${sessionId}:${userId}`;
+    const messages = this.pendingMessages.get(key) || [];
+    messages.push(message);
+    this.pendingMessages.set(key, messages.slice(-maxMessages));
+  }
+  
+  /**
+   * Take all messages held for a user
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - Recipient user ID
+   * @returns {Promise<Object[]>} - Held messages in order
+   */
+  async takePendingMessages(sessionId, userId) {
+    const key = `${sessionId}:${userId}`;
+    const messages = this.pendingMessages.get(key) || [];
+    this.pendingMessages.delete(key);
+    return messages;
+  }
+  
+  /**
+   * Record when a reconnecting user's grace period ends
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - Reconnecting user ID
+   * @param {number} deadline - End of the grace period (ms since epoch)
+   */
+  async addReconnectDeadline(sessionId, userId, deadline) {
+    this.reconnectDeadlines.set(`${sessionId}:${userId}:${deadline}`, { sessionId, userId, deadline });
+  }
+  
+  /**
+   * List reconnect grace periods that have ended
+   * @param {number} now - Current time (ms since epoch)
+   * @returns {Promise<Object[]>} - [{ sessionId, userId, deadline }]
+   */
+  async getLapsedReconnects(now) {
+    return [...this.reconnectDeadlines.values()].filter(entry => entry.deadline <= now);
+  }
+  
+  /**
+   * Remove a reconnect deadline
+   * Only one caller removes each deadline, so removing it claims its expiry.
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - Reconnecting user ID
+   * @param {number} deadline - Deadline to remove
+   * @returns {Promise<boolean>} - True if this call removed it
+   */
+  async removeReconnectDeadline(sessionId, userId, deadline) {
+    return this.reconnectDeadlines.delete(`${sessionId}:${userId}:${deadline}`);
+  }
+  
+  /**
+   * Count active sessions
+   * @returns {Promise<number>} - Number of sessions
+   */
+  async countSessions() {
+    return this.sessions.size;
+  }
+  
+  /**
+   * Count users in active sessions
+   * @returns {Promise<number>} - Number of users
+   */
+  async countSessionUsers() {
+    return this.userSessions.size;
+  }
+  
+  // Partner history
+  
+  /**
+   * Remember a recent partner for a user
+   * @param {string} userId - User ID
+   * @param {string} partnerId - Partner user ID
+   * @param {Object} record - { skipped, expiresAt }
+   */
+  async recordPartner(userId, partnerId, record) {
+    if (!this.partnerHistory.has(userId)) {
+      this.partnerHistory.set(userId, new Map());
+    }
+    this.partnerHistory.get(userId).set(partnerId, record);
+  }
+  
+  /**
+   * Get a user's unexpired partner history
+   * @param {string} userId - User ID
+   * @returns {Promise<Map>} - partnerId -> { skipped, expiresAt }
+   */
+  async getPartnerHistory(userId) {
+    const history = this.partnerHistory.get(userId);
+    if (!history) return new Map();
+    
+    const now = Date.now();
+    for (const [partnerId, record] of history) {
+      if (record.expiresAt <= now) history.delete(partnerId);
+    }
+    
+    if (history.size === 0) {
+      this.partnerHistory.delete(userId);
+    }
+    
+    return new Map(history);
+  }
+  
+  /**
+   * Drop expired partner history, matching preferences and idempotency keys
+   */
+  async pruneExpired() {
+    for (const userId of [...this.partnerHistory.keys()]) {
+      await this.getPartnerHistory(userId);
+    }
+    
+    const now = Date.now();
+    for (const [userId, record] of this.matchPreferences) {
+      if (record.expiresAt <= now) this.matchPreferences.delete(userId);
+    }
+    for (const [key, record] of this.idempotency) {
+      if (record.expiresAt <= now) this.idempotency.delete(key);
+    }
+  }
+  
+  // Matching preferences
+  
+  /**
+   * Remember the preferences a user last asked to be matched with
+   * @param {string} userId - User ID
+   * @param {Object} preferences - Matching preferences
+   * @param {number} ttlMs - How long the preferences are remembered
+   */
+  async setMatchPreferences(userId, preferences, ttlMs) {
+    this.matchPreferences.set(userId, { preferences, expiresAt: Date.now() + ttlMs });
+  }
+  
+  /**
+   * Get the preferences a user last asked to be matched with
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} - Matching preferences, or null if none are remembered
+   */
+  async getMatchPreferences(userId) {
+    const record = this.matchPreferences.get(userId);
+    if (!record || record.expiresAt <= Date.now()) return null;
+    return record.preferences;
+  }
+  
+  // Idempotency
+  
+  /**
+   * Claim an idempotency key for processing
+   * @param {string} key - Idempotency key
+   * @param {number} ttlMs - How long the key is remembered
+   * @returns {Promise<boolean>} - False if the key was already claimed
+   */
+  async claimIdempotencyKey(key, ttlMs) {
+    const existing = this.idempotency.get(key);
+    if (existing && existing.expiresAt > Date.now()) return false;
+    
+    this.idempotency.set(key, { result: null, expiresAt: Date.now() + ttlMs });
+    return true;
+  }
+  
+  /**
+   * Record the result for a claimed idempotency key
+   * @param {string} key - Idempotency key
+   * @param {Object} result - Result to return for repeats
+   * @param {number} ttlMs - How long the result is remembered
+   */
+  async setIdempotencyResult(key, result, ttlMs) {
+    this.idempotency.set(key, { result, expiresAt: Date.now() + ttlMs });
+  }
+  
+  /**
+   * Get the recorded result for an idempotency key
+   * @param {string} key - Idempotency key
+   * @returns {Promise<Object|null>} - Result, or null if unknown or still processing
+   */
+  async getIdempotencyResult(key) {
+    const record = this.idempotency.get(key);
+    if (!record || record.expiresAt <= Date.now()) return null;
+    return record.result;
+  }
+  
+  /**
+   * Release an idempotency key so the request can be retried
+   * @param {string} key - Idempotency key
+   */
+  async releaseIdempotencyKey(key) {
+    this.idempotency.delete(key);
+  }
+  
+  // Presence
+  
+  /**
+   * Mark a user as connected
+   * @param {string} userId - User ID
+   * @param {Object} info - { socketId, instanceId, connectedAt }
+   */
+  async setPresence(userId, info) {
+    this.presence.set(userId, info);
+  }
+  
+  /**
+   * Mark a user as disconnected if the given socket is still their latest
+   * @param {string} userId - User ID
+   * @param {string} socketId - Socket ID that disconnected
+   */
+  async removePresence(userId, socketId) {
+    const info = this.presence.get(userId);
+    if (info && info.socketId === socketId) {
+      this.presence.delete(userId);
+    }
+  }
+  
+  /**
+   * Get a user's presence
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} - Presence info or null if offline
+   */
+  async getPresence(userId) {
+    return this.presence.get(userId) || null;
+  }
+  
+  /**
+   * Count connected users
+   * @returns {Promise<number>} - Number of online users
+   */
+  async countPresence() {
+    return this.presence.size;
+  }
+}
+
+module.exports = MemoryStateStore;
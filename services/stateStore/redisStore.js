@@ -0,0 +1,437 @@
+const { createClient } = require('redis');
+const { createAdapter } = require('@socket.io/redis-adapter');
+
+// Remove every given user from the queue, or none if any is missing
+const CLAIM_QUEUE_SCRIPT = `
+for _, userId in ipairs(ARGV) do
+  if not redis.call('ZSCORE', KEYS[1], userId) then
+    return 0
+  end
+end
+for _, userId in ipairs(ARGV) do
+  redis.call('ZREM', KEYS[1], userId)
+  redis.call('HDEL', KEYS[2], userId)
+end
+return 1
+`;
+
+// Remove a session, the user mappings that still point at it and its members'
+// pending messages. ARGV[2..] are the members the pending keys KEYS[5..] were
+// built for; if the members have changed since, nothing is removed and 0 is
+// returned so the caller can retry.
+const DELETE_SESSION_SCRIPT = `
+local raw = redis.call('GET', KEYS[1])
+if not raw then
+  return nil
+end
+local session = cjson.decode(raw)
+if #session.members ~= #ARGV - 1 then
+  return 0
+end
+for index, userId in ipairs(session.members) do
+  if ARGV[index + 1] ~= userId then
+    return 0
+  end
+end
+redis.call('DEL', KEYS[1])
+redis.call('SREM', KEYS[2], ARGV[1])
+redis.call('SREM', KEYS[4], ARGV[1])
+for index, userId in ipairs(session.members) do
+  if redis.call('HGET', KEYS[3], userId) == ARGV[1] then
+    redis.call('HDEL', KEYS[3], userId)
+  end
+  redis.call('DEL', KEYS[index + 4])
+end
+return raw
+`;
+
+/**
+ * Redis-backed state store
+ * Shares queue, session, partner history and presence state between server
+ * instances. Any server speaking the Redis protocol can stand in locally.
+ */
+class RedisStateStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.url - Redis connection URL
+   * @param {string} [options.keyPrefix] - Prefix for all keys
+   */
+  constructor(options) {
+    this.url = options.url;
+    this.keyPrefix = options.keyPrefix || 'chat:';
+    
+    this.keys = {
+      queue: `${this.keyPrefix}queue`,
+      queueEntries: `${this.keyPrefix}queue:entries`,
+      sessions: `${this.keyPrefix}sessions`,
+      userSessions: `${this.keyPrefix}user-sessions`,
+      openRooms: `${this.keyPrefix}open-rooms`,
+      reconnectDeadlines: `${this.keyPrefix}reconnect-deadlines`,
+      presence: `${this.keyPrefix}presence`
+    };
+    
+    this.client = null;
+    this.pubClient = null;
+    this.subClient = null;
+  }
+  
+  /**
+   * Connect the command and pub/sub clients
+   */
+  async connect() {
+    this.client = createClient({ url: this.url });
+    this.client.on('error', error => console.error('Redis state store error:', error));
+    await this.client.connect();
+    
+    // The Socket.io adapter needs dedicated publish and subscribe connections
+    this.pubClient = this.client.duplicate();
+    this.subClient = this.client.duplicate();
+    await Promise.all([this.pubClient.connect(), this.subClient.connect()]);
+  }
+  
+  /**
+   * Close all Redis connections
+   */
+  async disconnect() {
+    await Promise.all(
+      [this.client, this.pubClient, this.subClient]
+        .filter(client => client && client.isOpen)
+        .map(client => client.quit())
+    );
+  }
+  
+  /**
+   * Socket.io adapter that relays room broadcasts through Redis pub/sub
+   * @returns {Function} - Adapter constructor
+   */
+  createSocketAdapter() {
+    return createAdapter(this.pubClient, this.subClient, { key: `${this.keyPrefix}socket.io` });
+  }
+  
+  sessionKey(sessionId) {
+    return `${this.keyPrefix}session:${sessionId}`;
+  }
+  
+  pendingKey(sessionId, userId) {
+    return `${this.keyPrefix}pending:${sessionId}:${userId}`;
+  }
+  
+  partnersKey(userId) {
+    return `${this.keyPrefix}partners:${userId}`;
+  }
+  
+  // Queue
+  
+  async addToQueue(entry) {
+    const added = await this.client.zAdd(
+      this.keys.queue,
+      { score: entry.joinedAt, value: entry.userId },
+      { NX: true }
+    );
+    if (!added) return false;
+    
+    await this.client.hSet(this.keys.queueEntries, entry.userId, JSON.stringify(entry));
+    return true;
+  }
+  
+  async removeFromQueue(userId) {
+    const [removed] = await this.client
+      .multi()
+      .zRem(this.keys.queue, userId)
+      .hDel(this.keys.queueEntries, userId)
+      .exec();
+    return removed > 0;
+  }
+  
+  async getQueueEntry(userId) {
+    const raw = await this.client.hGet(this.keys.queueEntries, userId);
+    return raw ? JSON.parse(raw) : null;
+  }
+  
+  async getQueue() {
+    const userIds = await this.client.zRange(this.keys.queue, 0, -1);
+    if (userIds.length === 0) return [];
+    
+    const entries = await this.client.hmGet(this.keys.queueEntries, userIds);
+    
+    // Skip users whose entry is mid-write or mid-removal
+    return entries.filter(Boolean).map(raw => JSON.parse(raw));
+  }
+  
+  async claimQueueEntries(userIds) {
+    const claimed = await this.client.eval(CLAIM_QUEUE_SCRIPT, {
+      keys: [this.keys.queue, this.keys.queueEntries],
+      arguments: userIds
+    });
+    return claimed === 1;
+  }
+  
+  // Sessions
+  
+  async createSession(sessionId, session) {
+    const transaction = this.client
+      .multi()
+      .set(this.sessionKey(sessionId), JSON.stringify(session))
+      .sAdd(this.keys.sessions, sessionId)
+      .hSet(this.keys.userSessions, Object.fromEntries(session.members.map(userId => [userId, sessionId])));
+    
+    if (session.type === 'group') {
+      transaction.sAdd(this.keys.openRooms, sessionId);
+    }
+    
+    await transaction.exec();
+  }
+  
+  async updateSession(sessionId, change) {
+    return this.modifySession(sessionId, session => change(session) !== false);
+  }
+  
+  /**
+   * Apply a change to a session with optimistic locking
+   * @param {string} sessionId - Session ID
+   * @param {Function} change - (session, transaction) => boolean; returns false to abort
+   * @returns {Promise<Object|null>} - Updated session or null if aborted
+   */
+  async modifySession(sessionId, change) {
+    const key = this.sessionKey(sessionId);
+    
+    for (let attempt = 0; attempt < 5; attempt++) {
+      try {
+        return await this.client.executeIsolated(async isolated => {
+          await isolated.watch(key);
+          
+          const raw = await isolated.get(key);
+          if (!raw) return null;
+          
+          const session = JSON.parse(raw);
+          const transaction = isolated.multi();
+          if (!change(session, transaction)) return null;
+          
+          await transaction.set(key, JSON.stringify(session)).exec();
+          return session;
+        });
+      } catch (error) {
+        // Another writer changed the session, try again
+        if (error.name !== 'WatchError') throw error;
+      }
+    }
+    
+    throw new Error(`Session ${sessionId} is too contended to update`);
+  }
+  
+  async addSessionMember(sessionId, userId, maxMembers, resumeToken) {
+    return this.modifySession(sessionId, (session, transaction) => {
+      if (session.members.length >= maxMembers || session.members.includes(userId)) {
+        return false;
+      }
+      
+      session.members.push(userId);
+      session.resumeTokens[userId] = resumeToken;
+      transaction.hSet(this.keys.userSessions, userId, sessionId);
+      return true;
+    });
+  }
+  
+  async removeSessionMember(sessionId, userId) {
+    return this.modifySession(sessionId, (session, transaction) => {
+      if (!session.members.includes(userId)) return false;
+      
+      session.members = session.members.filter(id => id !== userId);
+      delete session.resumeTokens[userId];
+      delete session.reconnecting[userId];
+      transaction
+        .hDel(this.keys.userSessions, userId)
+        .del(this.pendingKey(sessionId, userId));
+      return true;
+    });
+  }
+  
+  async getOpenRooms() {
+    return this.client.sMembers(this.keys.openRooms);
+  }
+  
+  async getSession(sessionId) {
+    const raw = await this.client.get(this.sessionKey(sessionId));
+    return raw ? JSON.parse(raw) : null;
+  }
+  
+  async getUserSessionId(userId) {
+    return this.client.hGet(this.keys.userSessions, userId);
+  }
+  
+  async clearUserSession(userId) {
+    await this.client.hDel(this.keys.userSessions, userId);
+  }
+  
+  async deleteSession(sessionId) {
+    // Every key the script touches is passed in KEYS, so the pending message
+    // keys are built from the members read beforehand
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const session = await this.getSession(sessionId);
+      if (!session) return null;
+      
+      const raw = await this.client.eval(DELETE_SESSION_SCRIPT, {
+        keys: [
+          this.sessionKey(sessionId),
+          this.keys.sessions,
+          this.keys.userSessions,
+          this.keys.openRooms,
+          ...session.members.map(userId => this.pendingKey(sessionId, userId))
+        ],
+        arguments: [sessionId, ...session.members]
+      });
+      
+      // Members changed in between, try again
+      if (raw === 0) continue;
+      
+      return raw ? JSON.parse(raw) : null;
+    }
+    
+    throw new Error(`Session ${sessionId} is too contended to delete`);
+  }
+  
+  async pushPendingMessage(sessionId, userId, message, maxMessages) {
+    const key = this.pendingKey(sessionId, userId);
+    await this.client
+      .multi()
+      .rPush(key, JSON.stringify(message))
+      .lTrim(key, -maxMessages, -1)
+      .exec();
+  }
+  
+  async takePendingMessages(sessionId, userId) {
+    const key = this.pendingKey(sessionId, userId);
+    const [messages] = await this.client
+      .multi()
+      .lRange(key, 0, -1)
+      .del(key)
+      .exec();
+    return messages.map(raw => JSON.parse(raw));
+  }
+  
+  // Reconnect deadlines are members `${sessionId}:${userId}:${deadline}` scored by deadline
+  
+  async addReconnectDeadline(sessionId, userId, deadline) {
+    await this.client.zAdd(this.keys.reconnectDeadlines, { score: deadline, value: `${sessionId}:${userId}:${deadline}` });
+  }
+  
+  async getLapsedReconnects(now) {
+    const members = await this.client.zRangeByScore(this.keys.reconnectDeadlines, '-inf', now);
+    return members.map(member => {
+      const [sessionId, userId, deadline] = member.split(':');
+      return { sessionId, userId, deadline: Number(deadline) };
+    });
+  }
+  
+  async removeReconnectDeadline(sessionId, userId, deadline) {
+    return (await this.client.zRem(this.keys.reconnectDeadlines, `${sessionId}:${userId}:${deadline}`)) === 1;
+  }
+  
+  async countSessions() {
+    return this.client.sCard(this.keys.sessions);
+  }
+  
+  async countSessionUsers() {
+    return this.client.hLen(this.keys.userSessions);
+  }
+  
+  // Partner history
+  
+  async recordPartner(userId, partnerId, record) {
+    const key = this.partnersKey(userId);
+    await this.client
+      .multi()
+      .hSet(key, partnerId, JSON.stringify(record))
+      .pExpireAt(key, record.expiresAt)
+      .exec();
+  }
+  
+  async getPartnerHistory(userId) {
+    const raw = await this.client.hGetAll(this.partnersKey(userId));
+    const now = Date.now();
+    const history = new Map();
+    const expired = [];
+    
+    for (const [partnerId, value] of Object.entries(raw)) {
+      const record = JSON.parse(value);
+      if (record.expiresAt <= now) {
+        expired.push(partnerId);
+      } else {
+        history.set(partnerId, record);
+      }
+    }
+    
+    if (expired.length > 0) {
+      await this.client.hDel(this.partnersKey(userId), expired);
+    }
+    
+    return history;
+  }
+  
+  async pruneExpired() {
+    // Partner history and matching preference keys expire on their own
+  }
+  
+  // Matching preferences
+  
+  preferencesKey(userId) {
+    return `${this.keyPrefix}preferences:${userId}`;
+  }
+  
+  async setMatchPreferences(userId, preferences, ttlMs) {
+    await this.client.set(this.preferencesKey(userId), JSON.stringify(preferences), { PX: ttlMs });
+  }
+  
+  async getMatchPreferences(userId) {
+    const raw = await this.client.get(this.preferencesKey(userId));
+    return raw ? JSON.parse(raw) : null;
+  }
+  
+  // Idempotency
+  
+  idempotencyKey(key) {
+    return `${this.keyPrefix}idempotency:${key}`;
+  }
+  
+  async claimIdempotencyKey(key, ttlMs) {
+    const claimed = await this.client.set(this.idempotencyKey(key), '', { NX: true, PX: ttlMs });
+    return claimed === 'OK';
+  }
+  
+  async setIdempotencyResult(key, result, ttlMs) {
+    await this.client.set(this.idempotencyKey(key), JSON.stringify(result), { PX: ttlMs });
+  }
+  
+  async getIdempotencyResult(key) {
+    const raw = await this.client.get(this.idempotencyKey(key));
+    return raw ? JSON.parse(raw) : null;
+  }
+  
+  async releaseIdempotencyKey(key) {
+    await this.client.del(this.idempotencyKey(key));
+  }
+  
+  // Presence
+  
+  async setPresence(userId, info) {
+    await this.client.hSet(this.keys.presence, userId, JSON.stringify(info));
+  }
+  
+  async removePresence(userId, socketId) {
+    const info = await this.getPresence(userId);
+    if (info && info.socketId === socketId) {
+      await this.client.hDel(this.keys.presence, userId);
+    }
+  }
+  
+  async getPresence(userId) {
+    const raw = await this.client.hGet(this.keys.presence, userId);
+    return raw ? JSON.parse(raw) : null;
+  }
+  
+  async countPresence() {
+    return this.client.hLen(this.keys.presence);
+  }
+}
+
+module.exports = RedisStateStore;
@@ -0,0 +1,143 @@
+const supabase = require('../config/db');
+const env = require('../config/env');
+
+// Sanctions the escalation ladder can apply, mildest first
+const SANCTIONS = ['warn', 'mute', 'temp_ban', 'perm_ban'];
+
+// Strikes a violation adds, by severity
+const STRIKE_WEIGHTS = { low: 1, medium: 2, high: 5 };
+
+// Strikes older than this many half-lives count for less than 0.1% and are ignored
+const DECAY_HALF_LIVES = 10;
+
+/**
+ * Violation service
+ * Records moderation violations in the violations table against both the user
+ * ID and the IP address, so strikes survive restarts and follow a user across
+ * networks. Each violation adds strikes by severity, which halve in weight
+ * every STRIKE_HALF_LIFE_MS. The strike total decides the sanction from
+ * STRIKE_LADDER (warn, mute, temp_ban or perm_ban), which is stored on the
+ * violation row along with when it lapses. Callers carry out the sanction
+ * (see moderationService and enforcementService).
+ */
+
+/**
+ * Build the filter matching rows for a user ID or an IP address
+ * @param {Object} identity - { userId, ipAddress }
+ * @returns {string|null} - PostgREST or-filter, or null without either
+ */
+function identityFilter({ userId, ipAddress }) {
+  const filters = [];
+  if (userId) filters.push(`user_id.eq."${userId}"`);
+  if (ipAddress) filters.push(`ip_address.eq."${ipAddress}"`);
+  
+  return filters.length > 0 ? filters.join(',') : null;
+}
+
+/**
+ * Get the decayed strike total for a user or IP address
+ * @param {Object} identity - { userId, ipAddress }
+ * @returns {Promise<number>} - Strike total
+ */
+async function getStrikes(identity) {
+  const filter = identityFilter(identity);
+  if (!filter) return 0;
+  
+  const since = new Date(Date.now() - env.STRIKE_HALF_LIFE_MS * DECAY_HALF_LIVES);
+  
+  const { data, error } = await supabase
+    .from('violations')
+    .select('strikes, created_at')
+    .or(filter)
+    .gte('created_at', since.toISOString());
+  
+  if (error) throw error;
+  
+  const now = Date.now();
+  const total = data.reduce((sum, violation) => {
+    const age = now - new Date(violation.created_at).getTime();
+    return sum + violation.strikes * 0.5 ** (age / env.STRIKE_HALF_LIFE_MS);
+  }, 0);
+  
+  // Round so strikes from moments ago still count in full
+  return Math.round(total * 100) / 100;
+}
+
+/**
+ * Find the ladder step a strike total has reached
+ * @param {number} strikes - Strike total
+ * @returns {Object|null} - { strikes, action, durationMs }, or null below the first step
+ */
+function ladderStep(strikes) {
+  const reached = env.STRIKE_LADDER.filter(step => strikes >= step.strikes);
+  return reached.length > 0 ? reached[reached.length - 1] : null;
+}
+
+/**
+ * Record a violation and apply the sanction its strike total has reached
+ * @param {Object} violation - Violation details
+ * @param {string} [violation.userId] - User who sent the content
+ * @param {string} [violation.ipAddress] - IP address the content came from
+ * @param {string} violation.severity - 'low', 'medium' or 'high'
+ * @param {string} violation.reason - Flagged categories
+ * @returns {Promise<Object>} - { strikes, action, expiresAt } where action is null below the first step
+ */
+async function recordViolation({ userId = null, ipAddress = null, severity, reason }) {
+  const strikes = (await getStrikes({ userId, ipAddress })) + (STRIKE_WEIGHTS[severity] || STRIKE_WEIGHTS.low);
+  const step = ladderStep(strikes);
+  
+  const action = step ? step.action : null;
+  const expiresAt = step && step.durationMs ? new Date(Date.now() + step.durationMs) : null;
+  
+  const { error } = await supabase
+    .from('violations')
+    .insert({
+      user_id: userId,
+      ip_address: ipAddress,
+      severity,
+      reason,
+      strikes: STRIKE_WEIGHTS[severity] || STRIKE_WEIGHTS.low,
+      action,
+      action_expires_at: expiresAt ? expiresAt.toISOString() : null,
+      created_at: new Date().toISOString()
+    });
+  
+  if (error) throw error;
+  
+  return { strikes, action, expiresAt };
+}
+
+/**
+ * List a user's violations, newest first
+ * @param {string} userId - User ID
+ * @param {number} [limit] - Most violations returned
+ * @returns {Promise<Object[]>} - violations rows
+ */
+async function listViolations(userId, limit = 100) {
+  const { data, error } = await supabase
+    .from('violations')
+    .select('*')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+  
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Check if a sanction bars the user from the service
+ * @param {Object|null} sanction - Sanction { action }
+ * @returns {boolean} - True for temporary and permanent bans
+ */
+function isBan(sanction) {
+  return !!sanction && (sanction.action === 'temp_ban' || sanction.action === 'perm_ban');
+}
+
+module.exports = {
+  SANCTIONS,
+  getStrikes,
+  recordViolation,
+  listViolations,
+  isBan
+};